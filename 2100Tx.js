@@ -1,7 +1,13 @@
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
-const cron = require('node-cron');
+const timeSeries = require('./timeSeries.js');
+const { observeRpcCall } = require('./metrics.js');
+const { resolveNetUrl } = require('./netFixtures.js');
+const { writeJsonAtomic } = require('./stateStore.js');
+const { isDryRun } = require('./dryRunClient.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('2100Tx');
 
 require('dotenv').config();
 
@@ -9,14 +15,17 @@ class TransactionTracker {
     constructor() {
         this.address = process.env.ADDRESS1;
         this.rpcUrl = process.env.RPC_URL;
-this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
         this.startBlock = parseInt(process.env.START_BLOCK || '1'); // NEW: Configurable start block
         this.csvFilename = null;
         this.progressFilename = null;
-        this.isRunning = false;
         this.lastProcessedBlock = 0;
+        this.chainHead = null;
+        this.chainHeadAt = null;
         this.processedBlocks = new Set();
         this.initialScanCompleted = false;
+        this.stopRequested = false;
+        this.activeScan = null;
+        this.initialScan = null;
         
         // Performance settings
         this.maxConcurrentRequests = parseInt(process.env.MAX_CONCURRENT_REQUESTS || '20');
@@ -33,7 +42,7 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
         
         // Validate START_BLOCK
         if (this.startBlock < 1) {
-            console.warn(`[${new Date().toISOString()}] WARN: ⚠️ Invalid START_BLOCK (${process.env.START_BLOCK}), using block 1`);
+            logger.warn(`⚠️ Invalid START_BLOCK (${process.env.START_BLOCK}), using block 1`);
             this.startBlock = 1;
         }
         
@@ -41,15 +50,16 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
         this.csvFilename = `${this.address.toLowerCase()}.csv`;
         this.progressFilename = `${this.address.toLowerCase()}_progress.json`;
         
-        console.log(`[${new Date().toISOString()}] INFO: 🚀 TransactionTracker initialized for address: ${this.address}`);
-        console.log(`[${new Date().toISOString()}] INFO: 🎯 Start block: ${this.startBlock} (will not scan earlier blocks)`);
-        console.log(`[${new Date().toISOString()}] INFO: 📊 CSV file: ${this.csvFilename}`);
-        console.log(`[${new Date().toISOString()}] INFO: 📊 Progress file: ${this.progressFilename}`);
-        console.log(`[${new Date().toISOString()}] INFO: ⚡ Performance: ${this.maxConcurrentRequests} concurrent requests, ${this.batchSize} batch size`);
+        logger.info(`🚀 TransactionTracker initialized for address: ${this.address}`);
+        logger.info(`🎯 Start block: ${this.startBlock} (will not scan earlier blocks)`);
+        logger.info(`📊 CSV file: ${this.csvFilename}`);
+        logger.info(`📊 Progress file: ${this.progressFilename}`);
+        logger.info(`⚡ Performance: ${this.maxConcurrentRequests} concurrent requests, ${this.batchSize} batch size`);
     }
 
     /**
      * Initialize the transaction tracker
+     * The initial catch-up scan runs in the background, see startInitialScan().
      */
     async initialize() {
         try {
@@ -59,15 +69,14 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
             // Load progress from both CSV and progress file
             await this.loadProgress();
             
-            // Perform initial scan on launch
-            console.log(`[${new Date().toISOString()}] INFO: 🔍 Starting initial transaction scan on launch...`);
-            await this.performInitialScan();
+            logger.info(`✅ TransactionTracker initialized successfully`);
+            logger.info(`📊 Last processed block: ${this.lastProcessedBlock}`);
             
-            console.log(`[${new Date().toISOString()}] INFO: ✅ TransactionTracker initialized successfully`);
-            console.log(`[${new Date().toISOString()}] INFO: 📊 Last processed block: ${this.lastProcessedBlock}`);
+            // Catch up without holding up the other features
+            this.startInitialScan();
             
         } catch (error) {
-            console.error(`[${new Date().toISOString()}] ERROR: ❌ Failed to initialize TransactionTracker:`, error);
+            logger.error(`❌ Failed to initialize TransactionTracker:`, error);
             throw error;
         }
     }
@@ -87,12 +96,12 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
             
             // Ensure we never go below START_BLOCK
             if (this.lastProcessedBlock < this.startBlock) {
-                console.log(`[${new Date().toISOString()}] INFO: 📊 Adjusting last processed block from ${this.lastProcessedBlock} to START_BLOCK ${this.startBlock}`);
+                logger.info(`📊 Adjusting last processed block from ${this.lastProcessedBlock} to START_BLOCK ${this.startBlock}`);
                 this.lastProcessedBlock = Math.max(0, this.startBlock - 1); // Start from START_BLOCK
             }
             
         } catch (error) {
-            console.error(`[${new Date().toISOString()}] ERROR: ❌ Error loading progress:`, error);
+            logger.error(`❌ Error loading progress:`, error);
             this.lastProcessedBlock = Math.max(0, this.startBlock - 1);
             this.processedBlocks.clear();
         }
@@ -114,11 +123,11 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
             const filteredBlocks = Array.from(this.processedBlocks).filter(block => block >= this.startBlock);
             this.processedBlocks = new Set(filteredBlocks);
             
-            console.log(`[${new Date().toISOString()}] INFO: 📊 Loaded from progress file: last block ${this.lastProcessedBlock}, ${this.processedBlocks.size} blocks processed (>= ${this.startBlock})`);
+            logger.info(`📊 Loaded from progress file: last block ${this.lastProcessedBlock}, ${this.processedBlocks.size} blocks processed (>= ${this.startBlock})`);
             
         } catch (error) {
             // Progress file doesn't exist or is corrupted
-            console.log(`[${new Date().toISOString()}] INFO: 📊 No progress file found, will analyze CSV`);
+            logger.info(`📊 No progress file found, will analyze CSV`);
             this.lastProcessedBlock = 0;
             this.processedBlocks.clear();
         }
@@ -134,7 +143,7 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
             
             if (lines.length <= 1) {
                 this.lastProcessedBlock = Math.max(0, this.startBlock - 1);
-                console.log(`[${new Date().toISOString()}] INFO: 📊 Empty CSV file - will start from block ${this.startBlock}`);
+                logger.info(`📊 Empty CSV file - will start from block ${this.startBlock}`);
                 return;
             }
 
@@ -159,13 +168,13 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
             this.lastProcessedBlock = Math.max(maxBlockNumber, this.startBlock - 1);
             this.processedBlocks = processedBlocksFromCSV;
             
-            console.log(`[${new Date().toISOString()}] INFO: 📊 Analyzed CSV: max block ${this.lastProcessedBlock}, ${this.processedBlocks.size} unique blocks processed (>= ${this.startBlock})`);
+            logger.info(`📊 Analyzed CSV: max block ${this.lastProcessedBlock}, ${this.processedBlocks.size} unique blocks processed (>= ${this.startBlock})`);
             
             // Save this progress to progress file for next time
             await this.saveProgress();
             
         } catch (error) {
-            console.error(`[${new Date().toISOString()}] ERROR: ❌ Error analyzing CSV:`, error);
+            logger.error(`❌ Error analyzing CSV:`, error);
             this.lastProcessedBlock = Math.max(0, this.startBlock - 1);
             this.processedBlocks.clear();
         }
@@ -175,6 +184,8 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
      * Save progress to dedicated progress file - INCLUDES START_BLOCK INFO
      */
     async saveProgress() {
+        // A dry run must not move the live scan position
+        if (isDryRun()) return;
         try {
             const progress = {
                 lastProcessedBlock: this.lastProcessedBlock,
@@ -185,26 +196,41 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
                 address: this.address
             };
             
-            await fs.writeFile(this.progressFilename, JSON.stringify(progress, null, 2), 'utf8');
+            // A crash mid-write must not lose the scan position
+            await writeJsonAtomic(this.progressFilename, progress);
             
         } catch (error) {
-            console.error(`[${new Date().toISOString()}] ERROR: ❌ Error saving progress:`, error);
+            logger.error(`❌ Error saving progress:`, error);
         }
     }
 
+    /**
+     * Start the initial scan unless it is already running
+     * @returns {Promise<void>} Settles when the scan ends (errors are logged)
+     */
+    startInitialScan() {
+        if (!this.initialScan) {
+            logger.info(`🔍 Starting initial transaction scan in the background...`);
+            this.initialScan = this.performInitialScan().finally(() => {
+                this.initialScan = null;
+            });
+        }
+        return this.initialScan;
+    }
+
     /**
      * Perform initial scan - RESPECTS START_BLOCK
      */
     async performInitialScan() {
         try {
             const latestBlock = await this.getLatestBlockNumber();
-            console.log(`[${new Date().toISOString()}] INFO: 🔍 Initial scan - Latest block: ${latestBlock}, Last processed: ${this.lastProcessedBlock}, Start block: ${this.startBlock}`);
+            logger.info(`🔍 Initial scan - Latest block: ${latestBlock}, Last processed: ${this.lastProcessedBlock}, Start block: ${this.startBlock}`);
             
             // Determine the actual starting point
             const actualStartBlock = Math.max(this.startBlock, this.lastProcessedBlock + 1);
             
             if (actualStartBlock > latestBlock) {
-                console.log(`[${new Date().toISOString()}] INFO: ✅ Already up to date - no blocks to scan (start: ${actualStartBlock}, latest: ${latestBlock})`);
+                logger.info(`✅ Already up to date - no blocks to scan (start: ${actualStartBlock}, latest: ${latestBlock})`);
                 this.initialScanCompleted = true;
                 await this.saveProgress();
                 return;
@@ -214,42 +240,65 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
             
             if (this.lastProcessedBlock < this.startBlock) {
                 // First time running or starting fresh
-                console.log(`[${new Date().toISOString()}] INFO: 🔍 BLOCKCHAIN SCAN - Scanning ${totalBlocksToScan} blocks from START_BLOCK ${actualStartBlock} to ${latestBlock}`);
-                console.log(`[${new Date().toISOString()}] INFO: ⚡ Skipping ${this.startBlock - 1} early blocks (before START_BLOCK)`);
+                logger.info(`🔍 BLOCKCHAIN SCAN - Scanning ${totalBlocksToScan} blocks from START_BLOCK ${actualStartBlock} to ${latestBlock}`);
+                logger.info(`⚡ Skipping ${this.startBlock - 1} early blocks (before START_BLOCK)`);
             } else {
                 // Resume from where we left off
-                console.log(`[${new Date().toISOString()}] INFO: 🔍 RESUMING SCAN - Catching up on ${totalBlocksToScan} blocks from ${actualStartBlock} to ${latestBlock}`);
+                logger.info(`🔍 RESUMING SCAN - Catching up on ${totalBlocksToScan} blocks from ${actualStartBlock} to ${latestBlock}`);
             }
             
-            await this.scanBlockRangeParallel(actualStartBlock, latestBlock);
+            const completed = await this.scanBlockRangeParallel(actualStartBlock, latestBlock);
+            if (!completed) {
+                logger.info(`⏸️ Initial scan interrupted at block ${this.lastProcessedBlock}, will resume on next start`);
+                return;
+            }
             
             this.initialScanCompleted = true;
             await this.saveProgress();
-            console.log(`[${new Date().toISOString()}] INFO: ✅ Initial scan completed`);
+            await this.recordMetrics();
+            logger.info(`✅ Initial scan completed`);
             
         } catch (error) {
-            console.error(`[${new Date().toISOString()}] ERROR: ❌ Error during initial scan:`, error);
+            logger.error(`❌ Error during initial scan:`, error);
         }
     }
 
     /**
-     * Enhanced parallel scanning with START_BLOCK respect
+     * Scan a block range, tracking the scan so stop() can wait for it
+     * @returns {Promise<boolean>} false if the scan stopped early because of stop()
      */
     async scanBlockRangeParallel(fromBlock, toBlock) {
+        const scan = this.scanBlockRange(fromBlock, toBlock);
+        this.activeScan = scan;
+        try {
+            return await scan;
+        } finally {
+            if (this.activeScan === scan) {
+                this.activeScan = null;
+            }
+        }
+    }
+
+    /**
+     * Enhanced parallel scanning with START_BLOCK respect
+     * Stops between batches once stop() has been requested.
+     */
+    async scanBlockRange(fromBlock, toBlock) {
         // Ensure we never scan below START_BLOCK
         const actualFromBlock = Math.max(fromBlock, this.startBlock);
         
         if (actualFromBlock > toBlock) {
-            console.log(`[${new Date().toISOString()}] INFO: ⏭️ No blocks to scan (adjusted range: ${actualFromBlock} to ${toBlock})`);
-            return;
+            logger.info(`⏭️ No blocks to scan (adjusted range: ${actualFromBlock} to ${toBlock})`);
+            return true;
         }
         
         const totalBlocks = toBlock - actualFromBlock + 1;
-        console.log(`[${new Date().toISOString()}] INFO: ⚡ Parallel scanning ${totalBlocks} blocks from ${actualFromBlock} to ${toBlock}`);
+        const scanLogger = logger.child({ blocks: `${actualFromBlock}-${toBlock}` });
+        scanLogger.info(`⚡ Parallel scanning ${totalBlocks} blocks from ${actualFromBlock} to ${toBlock}`);
         
         if (actualFromBlock > fromBlock) {
             const skippedBlocks = actualFromBlock - fromBlock;
-            console.log(`[${new Date().toISOString()}] INFO: ⏭️ Skipped ${skippedBlocks} blocks before START_BLOCK (${fromBlock} to ${actualFromBlock - 1})`);
+            scanLogger.info(`⏭️ Skipped ${skippedBlocks} blocks before START_BLOCK (${fromBlock} to ${actualFromBlock - 1})`);
         }
         
         let processedBlocks = 0;
@@ -257,6 +306,11 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
         const startTime = Date.now();
         
         for (let batchStart = actualFromBlock; batchStart <= toBlock; batchStart += this.batchSize) {
+            if (this.stopRequested) {
+                scanLogger.info(`⏸️ Stop requested - halting scan before block ${batchStart}`);
+                return false;
+            }
+            
             const batchEnd = Math.min(batchStart + this.batchSize - 1, toBlock);
             const batchBlocks = [];
             
@@ -268,12 +322,12 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
             }
             
             if (batchBlocks.length === 0) {
-                console.log(`[${new Date().toISOString()}] INFO: ⏭️ Skipping batch ${batchStart}-${batchEnd} (already processed)`);
+                scanLogger.info(`⏭️ Skipping batch ${batchStart}-${batchEnd} (already processed)`);
                 processedBlocks += (batchEnd - batchStart + 1);
                 continue;
             }
             
-            console.log(`[${new Date().toISOString()}] INFO: 📊 Processing batch: ${batchBlocks.length} new blocks from ${batchStart} to ${batchEnd}`);
+            scanLogger.info(`📊 Processing batch: ${batchBlocks.length} new blocks from ${batchStart} to ${batchEnd}`);
             
             const chunks = this.chunkArray(batchBlocks, this.maxConcurrentRequests);
             const allBatchTransactions = [];
@@ -291,7 +345,7 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
                         this.lastProcessedBlock = Math.max(this.lastProcessedBlock, blockNum);
                         
                         if (transactions.length > 0) {
-                            console.log(`[${new Date().toISOString()}] INFO: 🎯 Found ${transactions.length} relevant transaction(s) in block ${blockNum}`);
+                            scanLogger.info(`🎯 Found ${transactions.length} relevant transaction(s) in block ${blockNum}`);
                             allBatchTransactions.push(...transactions);
                             totalTransactionsFound += transactions.length;
                         }
@@ -308,7 +362,7 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
             // Save transactions and progress after each batch
             if (allBatchTransactions.length > 0) {
                 await this.saveTransactionsToCSV(allBatchTransactions);
-                console.log(`[${new Date().toISOString()}] INFO: 💾 Saved batch of ${allBatchTransactions.length} transactions`);
+                scanLogger.info(`💾 Saved batch of ${allBatchTransactions.length} transactions`);
             }
             
             // Save progress periodically
@@ -320,14 +374,15 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
             const blocksPerSecond = processedBlocks / elapsed;
             const estimatedTimeRemaining = (totalBlocks - processedBlocks) / blocksPerSecond;
             
-            console.log(`[${new Date().toISOString()}] INFO: 📊 Progress: ${progress}% (${processedBlocks}/${totalBlocks} blocks)`);
-            console.log(`[${new Date().toISOString()}] INFO: ⚡ Speed: ${blocksPerSecond.toFixed(2)} blocks/sec, ETA: ${Math.round(estimatedTimeRemaining / 60)} minutes`);
-            console.log(`[${new Date().toISOString()}] INFO: 💎 Total transactions found: ${totalTransactionsFound}`);
+            scanLogger.info(`📊 Progress: ${progress}% (${processedBlocks}/${totalBlocks} blocks)`);
+            scanLogger.info(`⚡ Speed: ${blocksPerSecond.toFixed(2)} blocks/sec, ETA: ${Math.round(estimatedTimeRemaining / 60)} minutes`);
+            scanLogger.info(`💎 Total transactions found: ${totalTransactionsFound}`);
         }
         
         const totalTime = (Date.now() - startTime) / 1000;
-        console.log(`[${new Date().toISOString()}] INFO: ✅ Completed parallel scanning ${totalBlocks} blocks in ${Math.round(totalTime)} seconds`);
-        console.log(`[${new Date().toISOString()}] INFO: 🎯 Total transactions found: ${totalTransactionsFound}`);
+        scanLogger.info(`✅ Completed parallel scanning ${totalBlocks} blocks in ${Math.round(totalTime)} seconds`);
+        scanLogger.info(`🎯 Total transactions found: ${totalTransactionsFound}`);
+        return true;
     }
 
     /**
@@ -358,7 +413,7 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
             return { blockNum: blockNumber, transactions: processedTransactions };
             
         } catch (error) {
-            console.error(`[${new Date().toISOString()}] ERROR: ❌ Error processing block ${blockNumber}:`, error.message);
+            logger.error(`❌ Error processing block ${blockNumber}:`, error.message);
             return { blockNum: blockNumber, transactions: [] };
         }
     }
@@ -378,8 +433,9 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
         let retryCount = 0;
         
         while (retryCount < maxRetries) {
+            const startedAt = Date.now();
             try {
-                const response = await axios.post(this.rpcUrl, {
+                const response = await axios.post(resolveNetUrl(this.rpcUrl), {
                     jsonrpc: '2.0',
                     method: method,
                     params: params,
@@ -397,9 +453,11 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
                     throw new Error(`RPC Error: ${response.data.error.message}`);
                 }
 
+                observeRpcCall(method, Date.now() - startedAt, true);
                 return response.data.result;
                 
             } catch (error) {
+                observeRpcCall(method, Date.now() - startedAt, false);
                 retryCount++;
                 if (retryCount < maxRetries) {
                     const delay = Math.min(100 * retryCount, 500);
@@ -413,7 +471,9 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
 
     async getLatestBlockNumber() {
         const result = await this.makeRpcCall('eth_blockNumber');
-        return parseInt(result, 16);
+        this.chainHead = parseInt(result, 16);
+        this.chainHeadAt = new Date();
+        return this.chainHead;
     }
 
     async getBlock(blockNumber) {
@@ -477,13 +537,13 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
             return txData;
             
         } catch (error) {
-            console.error(`[${new Date().toISOString()}] ERROR: ❌ Error processing transaction ${tx.hash}:`, error.message);
+            logger.error(`❌ Error processing transaction ${tx.hash}:`, error.message);
             return null;
         }
     }
 
     async saveTransactionsToCSV(transactions) {
-        if (transactions.length === 0) return;
+        if (transactions.length === 0 || isDryRun()) return;
         
         try {
             const csvLines = transactions.map(tx => {
@@ -494,76 +554,78 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
             await fs.appendFile(this.csvFilename, csvContent, 'utf8');
             
         } catch (error) {
-            console.error(`[${new Date().toISOString()}] ERROR: ❌ Error saving transactions to CSV:`, error);
+            logger.error(`❌ Error saving transactions to CSV:`, error);
             throw error;
         }
     }
 
     async ensureCsvFile() {
+        if (isDryRun()) return;
         try {
             await fs.access(this.csvFilename);
-            console.log(`[${new Date().toISOString()}] INFO: 📄 CSV file ${this.csvFilename} exists`);
+            logger.info(`📄 CSV file ${this.csvFilename} exists`);
         } catch (error) {
-            console.log(`[${new Date().toISOString()}] INFO: 📝 Creating new CSV file: ${this.csvFilename}`);
+            logger.info(`📝 Creating new CSV file: ${this.csvFilename}`);
             const headers = 'blockNumber,transactionHash,from,to,value,gasUsed,gasPrice,timestamp,status\n';
             await fs.writeFile(this.csvFilename, headers, 'utf8');
         }
     }
 
-    start() {
-        if (!this.cronSchedule) {
-            console.warn(`[${new Date().toISOString()}] WARN: ⚠️ CRON_SCHEDULE_COUNTER not set, only initial scan performed`);
-            return;
-        }
-
-        if (this.isRunning) {
-            console.warn(`[${new Date().toISOString()}] WARN: ⚠️ TransactionTracker already running`);
-            return;
+    /**
+     * Stop scanning after the current batch and persist progress
+     */
+    async stop() {
+        this.stopRequested = true;
+        if (this.activeScan) {
+            logger.info(`⏳ Waiting for current batch to finish...`);
+            await this.activeScan.catch(() => {});
         }
-
-        console.log(`[${new Date().toISOString()}] INFO: 🕒 Starting TransactionTracker scheduled updates with schedule: ${this.cronSchedule}`);
-        
-        cron.schedule(this.cronSchedule, async () => {
-            if (this.initialScanCompleted) {
-                await this.updateTransactions();
-            } else {
-                console.log(`[${new Date().toISOString()}] INFO: ⏳ Skipping scheduled update - initial scan still in progress`);
-            }
-        });
-
-        this.isRunning = true;
-    }
-
-    stop() {
-        if (this.isRunning) {
-            this.isRunning = false;
-            console.log(`[${new Date().toISOString()}] INFO: 🛑 TransactionTracker stopped`);
+        if (this.initialScan) {
+            await this.initialScan;
         }
+        await this.saveProgress();
+        logger.info(`🛑 TransactionTracker stopped at block ${this.lastProcessedBlock}`);
     }
 
     async updateTransactions() {
         try {
-            console.log(`[${new Date().toISOString()}] INFO: 🔍 Starting scheduled transaction update for address: ${this.address}`);
+            logger.info(`🔍 Starting scheduled transaction update for address: ${this.address}`);
             
             const latestBlock = await this.getLatestBlockNumber();
-            console.log(`[${new Date().toISOString()}] INFO: 📊 Latest block: ${latestBlock}, Last processed: ${this.lastProcessedBlock}`);
+            logger.info(`📊 Latest block: ${latestBlock}, Last processed: ${this.lastProcessedBlock}`);
             
             const startBlock = Math.max(this.lastProcessedBlock + 1, this.startBlock);
             
             if (startBlock > latestBlock) {
-                console.log(`[${new Date().toISOString()}] INFO: ✅ No new blocks to process`);
+                logger.info(`✅ No new blocks to process`);
                 return;
             }
             
             const blocksToProcess = Math.min(latestBlock - startBlock + 1, 100);
             const endBlock = startBlock + blocksToProcess - 1;
             
-            console.log(`[${new Date().toISOString()}] INFO: 🔄 Processing blocks ${startBlock} to ${endBlock} (${blocksToProcess} blocks)`);
+            logger.info(`🔄 Processing blocks ${startBlock} to ${endBlock} (${blocksToProcess} blocks)`);
             
             await this.scanBlockRangeParallel(startBlock, endBlock);
+            await this.recordMetrics();
             
         } catch (error) {
-            console.error(`[${new Date().toISOString()}] ERROR: ❌ Error updating transactions:`, error);
+            logger.error(`❌ Error updating transactions:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record tracker progress in the tx.* time series
+     */
+    async recordMetrics() {
+        const stats = await this.getStatistics();
+        if (!stats) return;
+
+        await timeSeries.append('tx.lastProcessedBlock', stats.lastProcessedBlock);
+        await timeSeries.append('tx.totalTransactions', stats.totalTransactions);
+        if (stats.successfulTransactions !== undefined) {
+            await timeSeries.append('tx.successfulTransactions', stats.successfulTransactions);
         }
     }
 
@@ -609,13 +671,13 @@ this.cronSchedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
             };
             
         } catch (error) {
-            console.error(`[${new Date().toISOString()}] ERROR: ❌ Error getting statistics:`, error);
+            logger.error(`❌ Error getting statistics:`, error);
             return null;
         }
     }
 
     async manualUpdate() {
-        console.log(`[${new Date().toISOString()}] INFO: 🔧 Manual transaction update triggered`);
+        logger.info(`🔧 Manual transaction update triggered`);
         await this.updateTransactions();
     }
 }
@@ -629,22 +691,34 @@ async function initializeTransactionTracker() {
         await transactionTracker.initialize();
         return transactionTracker;
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: ❌ Failed to initialize transaction tracker:`, error);
+        logger.error(`❌ Failed to initialize transaction tracker:`, error);
         throw error;
     }
 }
 
-function startTransactionTracking() {
-    if (transactionTracker) {
-        transactionTracker.start();
-    } else {
-        console.error(`[${new Date().toISOString()}] ERROR: ❌ Transaction tracker not initialized`);
+/**
+ * Scheduled update, run by the "tx" job
+ */
+async function runScheduledTransactionUpdate() {
+    if (!transactionTracker) {
+        throw new Error('Transaction tracker not initialized');
     }
+    if (!transactionTracker.initialScanCompleted) {
+        if (transactionTracker.initialScan) {
+            logger.info(`⏳ Skipping scheduled update - initial scan still in progress`);
+        } else {
+            // The initial scan failed; try again rather than never updating
+            logger.info(`🔁 Initial scan not completed, restarting it`);
+            transactionTracker.startInitialScan();
+        }
+        return;
+    }
+    await transactionTracker.updateTransactions();
 }
 
-function stopTransactionTracking() {
+async function stopTransactionTracking() {
     if (transactionTracker) {
-        transactionTracker.stop();
+        await transactionTracker.stop();
     }
 }
 
@@ -655,19 +729,41 @@ async function getTransactionStats() {
     return null;
 }
 
+/**
+ * Scan position against the chain head, for /healthz and /metrics
+ * @returns {{lastProcessedBlock: number, chainHead: number|null, chainHeadAt: Date|null, lagBlocks: number|null, initialScanCompleted: boolean}|null}
+ *   null when the tracker is not running
+ */
+function getTrackerState() {
+    if (!transactionTracker) {
+        return null;
+    }
+    const { lastProcessedBlock, chainHead, chainHeadAt, initialScanCompleted } = transactionTracker;
+    return {
+        lastProcessedBlock,
+        chainHead,
+        chainHeadAt,
+        lagBlocks: chainHead !== null ? Math.max(0, chainHead - lastProcessedBlock) : null,
+        initialScanCompleted
+    };
+}
+
 async function updateTransactionsManually() {
     if (transactionTracker) {
         await transactionTracker.manualUpdate();
+        return await transactionTracker.getStatistics();
     } else {
-        console.error(`[${new Date().toISOString()}] ERROR: ❌ Transaction tracker not initialized`);
+        logger.error(`❌ Transaction tracker not initialized`);
+        return null;
     }
 }
 
 module.exports = {
     TransactionTracker,
     initializeTransactionTracker,
-    startTransactionTracking,
+    runScheduledTransactionUpdate,
     stopTransactionTracking,
     getTransactionStats,
+    getTrackerState,
     updateTransactionsManually
 };
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * Ops Alerts Module
+ * Posts operational alerts to the "alerts" route (see /route):
+ *   - startup, with the enabled and disabled features
+ *   - shutdown
+ *   - a job failing ALERT_JOB_FAILURES times in a row, and its recovery
+ *   - a data source failing VALUE_ALERT_THRESHOLD times in a row, and its recovery (valueCache.js)
+ *
+ * The same alert is posted at most once per ALERT_DEDUPE_MINUTES.
+ */
+
+const { publishToRoutes } = require('./channelRouter.js');
+const { setAlertHandler } = require('./valueCache.js');
+const { createErrorNotification, createStatusNotification } = require('./messageConstructor');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('alerts');
+
+const DEFAULT_JOB_FAILURES = 3;
+const DEFAULT_DEDUPE_MINUTES = 30;
+
+let client = null;
+
+// Alert text -> last time it was posted
+const recentAlerts = new Map();
+
+// Jobs that crossed the failure threshold and have not recovered yet
+const failingJobs = new Set();
+
+function getDedupeMs() {
+    return parseInt(process.env.ALERT_DEDUPE_MINUTES || DEFAULT_DEDUPE_MINUTES) * 60 * 1000;
+}
+
+/**
+ * Post an alert unless the same one was posted within the dedupe window
+ * @param {'error'|'status'} kind - Red error or green status embed
+ * @param {string} message
+ * @returns {Promise<boolean>} true if it was posted
+ */
+async function sendAlert(kind, message) {
+    const key = `${kind}:${message}`;
+    const now = Date.now();
+    const lastSentAt = recentAlerts.get(key);
+    if (lastSentAt && now - lastSentAt < getDedupeMs()) {
+        logger.debug(`🔕 Suppressed duplicate alert: ${message}`);
+        return false;
+    }
+
+    if (kind === 'error') logger.warn(`🚨 ${message}`);
+    else logger.info(`📣 ${message}`);
+
+    if (!client) {
+        logger.warn(`⚠️ Alert not posted, Discord client not ready yet`);
+        return false;
+    }
+
+    recentAlerts.set(key, now);
+    for (const [oldKey, sentAt] of recentAlerts) {
+        if (now - sentAt >= getDedupeMs()) recentAlerts.delete(oldKey);
+    }
+
+    try {
+        const sent = await publishToRoutes(client, 'alerts',
+            kind === 'error' ? createErrorNotification(message) : createStatusNotification(message));
+        return sent > 0;
+    } catch (error) {
+        logger.error(`❌ Failed to post alert:`, error.message);
+        return false;
+    }
+}
+
+function handleRunFinished({ name, status, error, consecutiveFailures }) {
+    const threshold = parseInt(process.env.ALERT_JOB_FAILURES || DEFAULT_JOB_FAILURES);
+
+    if (status === 'success') {
+        if (failingJobs.delete(name)) {
+            sendAlert('status', `Job ${name} recovered and ran successfully`);
+        }
+        return;
+    }
+
+    if (consecutiveFailures >= threshold && !failingJobs.has(name)) {
+        failingJobs.add(name);
+        sendAlert('error', `Job ${name} failed ${consecutiveFailures} times in a row (last ${status}: ${error})`);
+    }
+}
+
+/**
+ * Start posting alerts once the client is ready
+ * @param {Client} readyClient - Discord client
+ * @param {Scheduler} scheduler - Job failures are watched here
+ */
+function initAlerts(readyClient, scheduler) {
+    client = readyClient;
+    scheduler.on('runFinished', handleRunFinished);
+
+    // Failing data sources go to the same channel
+    setAlertHandler((message, { recovered }) => sendAlert(recovered ? 'status' : 'error', message));
+}
+
+/**
+ * Announce startup
+ * @param {Array<Object>} started - Features that initialized
+ * @param {Array<{name: string, reason: string}>} disabled - Features that are off
+ */
+function sendStartupAlert(started, disabled) {
+    const lines = [`${client.user.tag} started`];
+    lines.push(`Features: ${started.length > 0 ? started.map(feature => feature.name).join(', ') : 'none'}`);
+    if (disabled.length > 0) {
+        lines.push(`Off: ${disabled.map(({ name, reason }) => `${name} (${reason})`).join(', ')}`);
+    }
+    return sendAlert('status', lines.join('\n'));
+}
+
+/**
+ * Announce shutdown (used as a shutdown stop hook)
+ */
+function sendShutdownAlert(signal) {
+    return sendAlert('status', `Shutting down${signal ? ` (${signal})` : ''}`);
+}
+
+module.exports = {
+    initAlerts,
+    sendAlert,
+    sendStartupAlert,
+    sendShutdownAlert
+};
@@ -0,0 +1,184 @@
+/**
+ * Channel Router Module
+ * Maps each content type to one or more channels per guild
+ *
+ * Routes are set with the /route admin command and kept in the "routes"
+ * namespace of the state store.
+ * DISCORD_CHANNEL_ID still works as the mint/spin channel for its own guild when
+ * that guild has no route for the type. There is no "first text channel" fallback:
+ * content without a route is not posted.
+ */
+
+const { getState, saveState } = require('./stateStore.js');
+const { publishStatusMessage } = require('./statusMessages.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('channelRouter');
+
+const CONTENT_TYPES = {
+    mints: 'Mint summary',
+    mintfeed: 'Mint feed',
+    spins: 'Spin leaderboard',
+    stbtc: 'STBTC report',
+    history: 'Counter history',
+    alerts: 'Alerts'
+};
+
+// Types that DISCORD_CHANNEL_ID used to receive
+const LEGACY_CHANNEL_TYPES = ['mints', 'spins'];
+
+// Types posted as status messages (edited in place when that mode is on)
+const STATUS_TYPES = ['mints', 'spins', 'stbtc'];
+
+let routes = null;
+
+async function loadRoutes() {
+    if (!routes) {
+        // CHANNEL_ROUTES_FILE is where routes were kept before the state store
+        routes = await getState('routes', { legacyFile: process.env.CHANNEL_ROUTES_FILE || 'channel_routes.json' });
+        logger.info(`🧭 Loaded channel routes for ${Object.keys(routes).length} guild(s)`);
+    }
+    return routes;
+}
+
+function assertContentType(type) {
+    if (!CONTENT_TYPES[type]) {
+        throw new Error(`Unknown content type "${type}", expected one of: ${Object.keys(CONTENT_TYPES).join(', ')}`);
+    }
+}
+
+/**
+ * Route a content type to a channel in a guild
+ * @returns {Promise<boolean>} false if the route already existed
+ */
+async function addRoute(guildId, type, channelId) {
+    assertContentType(type);
+    await loadRoutes();
+    const guildRoutes = routes[guildId] || (routes[guildId] = {});
+    const channelIds = guildRoutes[type] || (guildRoutes[type] = []);
+    if (channelIds.includes(channelId)) return false;
+
+    channelIds.push(channelId);
+    await saveState();
+    logger.info(`🧭 Routed ${type} to channel ${channelId} in guild ${guildId}`);
+    return true;
+}
+
+/**
+ * Remove a route
+ * @returns {Promise<boolean>} false if there was no such route
+ */
+async function removeRoute(guildId, type, channelId) {
+    assertContentType(type);
+    await loadRoutes();
+    const channelIds = routes[guildId] && routes[guildId][type];
+    if (!channelIds || !channelIds.includes(channelId)) return false;
+
+    routes[guildId][type] = channelIds.filter(id => id !== channelId);
+    if (routes[guildId][type].length === 0) delete routes[guildId][type];
+    if (Object.keys(routes[guildId]).length === 0) delete routes[guildId];
+    await saveState();
+    logger.info(`🧭 Removed ${type} route to channel ${channelId} in guild ${guildId}`);
+    return true;
+}
+
+/**
+ * Get the routes configured for a guild
+ * @returns {Promise<Object>} { [type]: [channelId] }
+ */
+async function getGuildRoutes(guildId) {
+    await loadRoutes();
+    return { ...(routes[guildId] || {}) };
+}
+
+/**
+ * Resolve the channels a content type should go to, across all guilds
+ * @param {Client} client - Discord client
+ * @param {string} type - Content type
+ * @returns {Promise<Array<Channel>>}
+ */
+async function getRoutedChannels(client, type) {
+    assertContentType(type);
+    await loadRoutes();
+
+    const channelIds = new Set();
+    const legacyChannelId = LEGACY_CHANNEL_TYPES.includes(type) ? process.env.DISCORD_CHANNEL_ID : null;
+    let legacyChannel = null;
+
+    if (legacyChannelId) {
+        try {
+            legacyChannel = await client.channels.fetch(legacyChannelId);
+        } catch (error) {
+            logger.warn(`⚠️ Could not find channel with ID: ${legacyChannelId}`);
+        }
+    }
+
+    for (const guild of client.guilds.cache.values()) {
+        const routed = routes[guild.id] && routes[guild.id][type];
+        if (routed && routed.length > 0) {
+            routed.forEach(id => channelIds.add(id));
+        } else if (legacyChannel && legacyChannel.guildId === guild.id) {
+            channelIds.add(legacyChannel.id);
+        }
+    }
+
+    const channels = [];
+    for (const channelId of channelIds) {
+        try {
+            const channel = await client.channels.fetch(channelId);
+            if (channel) channels.push(channel);
+        } catch (error) {
+            logger.warn(`⚠️ Routed ${type} channel ${channelId} is not accessible:`, error.message);
+        }
+    }
+    return channels;
+}
+
+/**
+ * Publish a message to every channel routed for its content type
+ * Status types go through publishStatusMessage, so edit-in-place mode applies
+ * (except in a dry run).
+ * @returns {Promise<number>} Number of channels the message reached
+ */
+async function publishToRoutes(client, type, message) {
+    const channels = await getRoutedChannels(client, type);
+
+    // The dry run client has no guilds; unrouted types go to a virtual channel per type
+    if (channels.length === 0 && client.dryRun) {
+        channels.push(await client.channels.fetch(`route:${type}`));
+    }
+
+    if (channels.length === 0) {
+        logger.warn(`⚠️ No channels routed for ${type}, nothing posted (use /route add)`);
+        return 0;
+    }
+
+    let sentCount = 0;
+    for (const channel of channels) {
+        try {
+            // A dry run has no earlier status message to edit, so it always shows a new one
+            if (STATUS_TYPES.includes(type) && !client.dryRun) {
+                await publishStatusMessage(channel, type, message);
+            } else {
+                await channel.send(message);
+            }
+            logger.info(`📤 ${CONTENT_TYPES[type]} sent to ${channel.guild ? `${channel.guild.name}#` : ''}${channel.name}`);
+            sentCount++;
+        } catch (error) {
+            logger.error(`❌ Failed to send ${type} to channel ${channel.id}:`, error.message);
+        }
+    }
+
+    if (sentCount === 0) {
+        throw new Error(`Could not deliver ${type} to any of ${channels.length} routed channel(s)`);
+    }
+    return sentCount;
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    addRoute,
+    removeRoute,
+    getGuildRoutes,
+    getRoutedChannels,
+    publishToRoutes
+};
@@ -0,0 +1,308 @@
+/**
+ * Slash Commands Module
+ * Registers the bot's slash commands and answers them on demand
+ */
+
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { createSatoshiSpinEmbed } = require('./spin.js');
+const { getMintSummaryMessage, checkLatestMint } = require('./nft.js');
+const { getTransactionStats } = require('./2100Tx.js');
+const { scheduler } = require('./scheduler.js');
+const { getStbtcStats } = require('./stbtc_counters.js');
+const { CONTENT_TYPES, addRoute, removeRoute, getGuildRoutes } = require('./channelRouter.js');
+const { getThrottledChannels } = require('./renameQueue.js');
+const { resetValue, getValueKeys } = require('./valueCache.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('commands');
+
+const {
+    createStbtcStatsMessage,
+    createTransactionStatsMessage,
+    createJobStatusMessage,
+    createErrorNotification,
+    createStatusNotification
+} = require('./messageConstructor');
+
+// Manual refreshes available to admins through /refresh
+// Scheduled jobs go through the scheduler so they never overlap with a cron run
+const refreshTargets = {
+    nft: async () => {
+        const latestMint = await checkLatestMint();
+        if (!latestMint) {
+            return 'No mints found in scan';
+        }
+        return `Latest mint: token **${latestMint.tokenId}** of \`${latestMint.contractAddress}\` in block ${latestMint.blockNumber} (\`${latestMint.txHash}\`)`;
+    },
+    counters: async () => {
+        const updated = await scheduler.runJob('counters', { manual: true });
+        return `${updated} counters updated`;
+    },
+    stbtc: async () => {
+        const updated = await scheduler.runJob('stbtc', { manual: true });
+        return `${updated} STBTC counters updated`;
+    },
+    tx: async () => {
+        await scheduler.runJob('tx', { manual: true });
+        const stats = await getTransactionStats();
+        return `Last processed block: **${stats.lastProcessedBlock}**, transactions: **${stats.totalTransactions}**`;
+    }
+};
+
+const contentTypeChoices = Object.entries(CONTENT_TYPES).map(([value, name]) => ({ name, value }));
+
+// Each command builds the same message the scheduled jobs post
+const commands = [
+    {
+        data: new SlashCommandBuilder()
+            .setName('spins')
+            .setDescription('Show total Satoshi Spins and the top 10 winners'),
+        async execute() {
+            return createSatoshiSpinEmbed();
+        }
+    },
+    {
+        data: new SlashCommandBuilder()
+            .setName('mints')
+            .setDescription('Show Citadel Invitation mints (total and last 24 hours)'),
+        async execute() {
+            return getMintSummaryMessage();
+        }
+    },
+    {
+        data: new SlashCommandBuilder()
+            .setName('stbtc')
+            .setDescription('Show current stBTC statistics'),
+        async execute(interaction, context) {
+            if (!context.counterEngine) {
+                return createErrorNotification('STBTC counters are not running yet, try again in a moment');
+            }
+            const stats = await getStbtcStats(context.counterEngine);
+            return createStbtcStatsMessage(stats);
+        }
+    },
+    {
+        data: new SlashCommandBuilder()
+            .setName('txstats')
+            .setDescription('Show statistics from the 2100 transaction tracker'),
+        async execute() {
+            const stats = await getTransactionStats();
+            if (!stats) {
+                return createErrorNotification('Transaction tracker is not enabled on this bot');
+            }
+            return createTransactionStatsMessage(stats);
+        }
+    },
+    {
+        adminOnly: true,
+        data: new SlashCommandBuilder()
+            .setName('refresh')
+            .setDescription('Admin: run a refresh now and report the result')
+            .addStringOption(option => option
+                .setName('target')
+                .setDescription('What to refresh')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'NFT latest mint', value: 'nft' },
+                    { name: 'Mint/spin counters', value: 'counters' },
+                    { name: 'STBTC counters', value: 'stbtc' },
+                    { name: '2100 transaction tracker', value: 'tx' }
+                )),
+        async execute(interaction, context) {
+            const target = interaction.options.getString('target', true);
+            const startedAt = Date.now();
+            const result = await refreshTargets[target]();
+            const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+            return createStatusNotification(`Refreshed **${target}** in ${seconds}s\n${result}`);
+        }
+    },
+    {
+        adminOnly: true,
+        data: new SlashCommandBuilder()
+            .setName('route')
+            .setDescription('Admin: choose which channels receive each kind of post')
+            .setDMPermission(false)
+            .addSubcommand(sub => sub
+                .setName('add')
+                .setDescription('Send a content type to a channel')
+                .addStringOption(option => option
+                    .setName('type')
+                    .setDescription('Content type')
+                    .setRequired(true)
+                    .addChoices(...contentTypeChoices))
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Target channel')
+                    .setRequired(true)
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)))
+            .addSubcommand(sub => sub
+                .setName('remove')
+                .setDescription('Stop sending a content type to a channel')
+                .addStringOption(option => option
+                    .setName('type')
+                    .setDescription('Content type')
+                    .setRequired(true)
+                    .addChoices(...contentTypeChoices))
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Channel to remove')
+                    .setRequired(true)))
+            .addSubcommand(sub => sub
+                .setName('list')
+                .setDescription('Show the routes for this server')),
+        async execute(interaction) {
+            const guildId = interaction.guildId;
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'list') {
+                const guildRoutes = await getGuildRoutes(guildId);
+                const lines = Object.entries(CONTENT_TYPES).map(([type, label]) => {
+                    const channelIds = guildRoutes[type] || [];
+                    return `**${label}**: ${channelIds.length > 0 ? channelIds.map(id => `<#${id}>`).join(', ') : '_not routed_'}`;
+                });
+                return createStatusNotification(lines.join('\n'));
+            }
+
+            const type = interaction.options.getString('type', true);
+            const channel = interaction.options.getChannel('channel', true);
+
+            if (subcommand === 'add') {
+                // Refuse routes the bot could not post to
+                const me = interaction.guild && interaction.guild.members.me;
+                if (me && channel.permissionsFor && !channel.permissionsFor(me).has([PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+                    return createErrorNotification(`I need Send Messages and Embed Links permissions in <#${channel.id}>`);
+                }
+                const added = await addRoute(guildId, type, channel.id);
+                return createStatusNotification(added
+                    ? `${CONTENT_TYPES[type]} will be posted to <#${channel.id}>`
+                    : `${CONTENT_TYPES[type]} is already posted to <#${channel.id}>`);
+            }
+
+            const removed = await removeRoute(guildId, type, channel.id);
+            return createStatusNotification(removed
+                ? `${CONTENT_TYPES[type]} will no longer be posted to <#${channel.id}>`
+                : `${CONTENT_TYPES[type]} was not routed to <#${channel.id}>`);
+        }
+    },
+    {
+        adminOnly: true,
+        data: new SlashCommandBuilder()
+            .setName('jobs')
+            .setDescription('Admin: show job runs, last errors and throttled channel renames'),
+        async execute() {
+            return createJobStatusMessage(scheduler.getJobStates(), getThrottledChannels());
+        }
+    },
+    {
+        adminOnly: true,
+        data: new SlashCommandBuilder()
+            .setName('resetvalue')
+            .setDescription('Admin: forget a cached value so the next reading is accepted, even if lower')
+            .addStringOption(option => option
+                .setName('key')
+                .setDescription('Value key, e.g. mints.total')
+                .setRequired(true)),
+        async execute(interaction) {
+            const key = interaction.options.getString('key', true);
+            if (!await resetValue(key)) {
+                const keys = await getValueKeys();
+                return createErrorNotification(`No cached value **${key}**. Known keys: ${keys.map(name => `\`${name}\``).join(', ') || 'none'}`);
+            }
+            return createStatusNotification(`Cached value **${key}** reset, the next reading is accepted as is`);
+        }
+    }
+];
+
+/**
+ * Check whether a member holds one of the roles in ADMIN_ROLE_ID (comma-separated)
+ * @param {GuildMember|Object} member - Interaction member
+ * @returns {boolean}
+ */
+function isAdmin(member) {
+    const roleIds = (process.env.ADMIN_ROLE_ID || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (!member || roleIds.length === 0) return false;
+
+    // Uncached guilds deliver the raw API member with an array of role IDs
+    if (Array.isArray(member.roles)) {
+        return roleIds.some(roleId => member.roles.includes(roleId));
+    }
+    return roleIds.some(roleId => member.roles.cache.has(roleId));
+}
+
+/**
+ * Register slash commands with Discord
+ * Uses guild commands when COMMANDS_GUILD_ID is set (they appear instantly),
+ * otherwise registers them globally
+ * @param {Client} client - Ready Discord client
+ */
+async function registerCommands(client) {
+    const body = commands.map(command => command.data.toJSON());
+    const guildId = process.env.COMMANDS_GUILD_ID;
+
+    try {
+        if (guildId) {
+            await client.application.commands.set(body, guildId);
+            logger.info(`✅ Registered ${body.length} slash commands in guild ${guildId}`);
+        } else {
+            await client.application.commands.set(body);
+            logger.info(`✅ Registered ${body.length} global slash commands`);
+        }
+    } catch (error) {
+        logger.error(`❌ Failed to register slash commands:`, error);
+    }
+}
+
+/**
+ * Handle an incoming interaction
+ * @param {Interaction} interaction - Discord interaction
+ * @param {Object} context - Runtime objects the commands need (e.g. counterEngine)
+ */
+async function handleInteraction(interaction, context = {}) {
+    if (!interaction.isChatInputCommand()) return;
+
+    const command = commands.find(cmd => cmd.data.name === interaction.commandName);
+    if (!command) {
+        logger.warn(`⚠️ Unknown command: /${interaction.commandName}`);
+        return;
+    }
+
+    logger.info(`💬 /${interaction.commandName} requested by ${interaction.user.tag}`);
+
+    if (command.adminOnly && !isAdmin(interaction.member)) {
+        logger.warn(`⚠️ ${interaction.user.tag} is not allowed to use /${interaction.commandName}`);
+        try {
+            await interaction.reply({ ...createErrorNotification('This command is restricted to bot admins'), ephemeral: true });
+        } catch (replyError) {
+            logger.error(`❌ Failed to send error reply:`, replyError.message);
+        }
+        return;
+    }
+
+    try {
+        // Data sources can take a while, so acknowledge first
+        await interaction.deferReply({ ephemeral: !!command.adminOnly });
+        const message = await command.execute(interaction, context);
+        await interaction.editReply(message);
+    } catch (error) {
+        logger.error(`❌ Error handling /${interaction.commandName}:`, error);
+        try {
+            // Admins get the actual error, everyone else a generic message
+            const reply = createErrorNotification(command.adminOnly
+                ? error.message
+                : 'Could not fetch the data, please try again later');
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply(reply);
+            } else {
+                await interaction.reply({ ...reply, ephemeral: true });
+            }
+        } catch (replyError) {
+            logger.error(`❌ Failed to send error reply:`, replyError.message);
+        }
+    }
+}
+
+module.exports = {
+    commands,
+    isAdmin,
+    registerCommands,
+    handleInteraction
+};
@@ -0,0 +1,349 @@
+/**
+ * Configuration Module
+ * Loads settings from a JSON/YAML config file plus environment overrides,
+ * validates them against a schema at startup and prints one report
+ *
+ * The file is CONFIG_FILE, or config.json / config.yaml / config.yml in the
+ * working directory. It is a flat object keyed by the same names as the env
+ * vars; list settings may be arrays. Environment variables always win.
+ * Validated values are written back to process.env, so modules keep reading
+ * process.env as before.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { loadCounterDefinitions } = require('./counterDefinitions.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('config');
+
+const DEFAULT_CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml'];
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+
+// Setting types and their validators; each returns an error message or null
+const TYPES = {
+    string: (value) => value.length > 0 ? null : 'must not be empty',
+    secret: (value) => value.length > 0 ? null : 'must not be empty',
+    url: (value) => {
+        try {
+            const url = new URL(value);
+            return ['http:', 'https:'].includes(url.protocol) ? null : 'must be an http(s) URL';
+        } catch (error) {
+            return 'is not a valid URL';
+        }
+    },
+    address: (value) => ADDRESS_PATTERN.test(value) ? null : 'is not a valid 0x address',
+    snowflake: (value) => SNOWFLAKE_PATTERN.test(value) ? null : 'is not a valid Discord ID',
+    cron: (value) => cron.validate(value) ? null : 'is not a valid cron expression',
+    int: (value, spec) => {
+        if (!/^-?\d+$/.test(value)) return 'must be an integer';
+        return checkRange(parseInt(value, 10), spec);
+    },
+    number: (value, spec) => {
+        if (value === '' || isNaN(Number(value))) return 'must be a number';
+        return checkRange(Number(value), spec);
+    },
+    enum: (value, spec) => spec.values.includes(value) ? null : `must be one of: ${spec.values.join(', ')}`
+};
+
+function checkRange(number, spec) {
+    if (spec.min !== undefined && number < spec.min) return `must be >= ${spec.min}`;
+    if (spec.max !== undefined && number > spec.max) return `must be <= ${spec.max}`;
+    return null;
+}
+
+const SCHEMA = {
+    // Discord
+    DISCORD_TOKEN: { type: 'secret', required: true },
+    DISCORD_CHANNEL_ID: { type: 'snowflake' },
+    COMMANDS_GUILD_ID: { type: 'snowflake' },
+    ADMIN_ROLE_ID: { type: 'snowflake', list: true },
+
+    // Chain
+    RPC_URL: { type: 'url' },
+    CONTRACT_ADDRESS: { type: 'address', list: true },
+    ADD: { type: 'int' },
+    MINT_FEED: { type: 'enum', values: ['0', '1'] },
+    EXPLORER_URL: { type: 'url' },
+    IPFS_GATEWAY: { type: 'url' },
+    METADATA_CACHE_DIR: { type: 'string' },
+    METADATA_CACHE_HOURS: { type: 'number' },
+
+    // Features and scheduling
+    FEATURES: { type: 'string', list: true },
+    TX2100: { type: 'enum', values: ['0', '1'] },
+    CRON_SCHEDULE_MSG: { type: 'cron' },
+    CRON_SCHEDULE_NFT: { type: 'cron' },
+    CRON_SCHEDULE_SPIN: { type: 'cron' },
+    CRON_SCHEDULE_COUNTER: { type: 'cron' },
+    CRON_SCHEDULE_COUNTERS: { type: 'cron' },
+    CRON_SCHEDULE_STBTC: { type: 'cron' },
+    CRON_SCHEDULE_STBTC_REPORT: { type: 'cron' },
+    CRON_SCHEDULE_HISTORY: { type: 'cron' },
+    CRON_SCHEDULE_BLOCKCHAIN: { type: 'cron' },
+    CRON_SCHEDULE_TIMESERIES: { type: 'cron' },
+    JOB_TIMEOUT_SECONDS: { type: 'int', min: 1 },
+    SHUTDOWN_TIMEOUT_SECONDS: { type: 'int', min: 1 },
+    STATE_FILE: { type: 'string' },
+    // Files used before the state store, only read to import them once
+    JOB_HISTORY_FILE: { type: 'string' },
+    STATUS_MESSAGES_FILE: { type: 'string' },
+    CHANNEL_ROUTES_FILE: { type: 'string' },
+    VALUE_CACHE_FILE: { type: 'string' },
+    STATUS_MESSAGE_MODE: { type: 'enum', values: ['post', 'edit'] },
+    RENAME_LIMIT: { type: 'int', min: 1 },
+    RENAME_WINDOW_SECONDS: { type: 'int', min: 1 },
+    VALUE_ALERT_THRESHOLD: { type: 'int', min: 1 },
+    VALUE_DROP_CONFIRMATIONS: { type: 'int', min: 1 },
+    ALERT_JOB_FAILURES: { type: 'int', min: 1 },
+    ALERT_DEDUPE_MINUTES: { type: 'int', min: 0 },
+    STALE_MARKER: { type: 'string' },
+    TIMESERIES_DIR: { type: 'string' },
+    TIMESERIES_RAW_DAYS: { type: 'int', min: 2 },
+    TIMESERIES_HOURLY_DAYS: { type: 'int', min: 30 },
+    HEALTH_PORT: { type: 'int', min: 1, max: 65535 },
+    HEALTH_HOST: { type: 'string' },
+    DRY_RUN: { type: 'enum', values: ['0', '1'] },
+    DRY_RUN_DIR: { type: 'string' },
+    DRY_RUN_JOBS: { type: 'string', list: true },
+    NET_MODE: { type: 'enum', values: ['live', 'record', 'replay'] },
+    FIXTURE_DIR: { type: 'string' },
+
+    // Logging
+    LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error'] },
+    LOG_LEVELS: { type: 'string', list: true },
+    LOG_FORMAT: { type: 'enum', values: ['text', 'json'] },
+    LOG_FILE: { type: 'string' },
+    LOG_FILE_FORMAT: { type: 'enum', values: ['text', 'json'] },
+    LOG_FILE_MAX_SIZE_MB: { type: 'int', min: 0 },
+    LOG_FILE_ROTATE: { type: 'enum', values: ['daily', 'none'] },
+    LOG_FILE_MAX_FILES: { type: 'int', min: 1 },
+
+    // Mint / spin counters
+    COUNTER1_CHANNEL_ID: { type: 'snowflake' },
+    COUNTER1_NAME: { type: 'string' },
+    COUNTER2_CHANNEL_ID: { type: 'snowflake' },
+    COUNTER2_NAME: { type: 'string' },
+
+    // STBTC counters
+    STBTC1_CHANNELID: { type: 'snowflake' },
+    STBTC1_CHANNELNAME: { type: 'string' },
+    STBTC1_TOKEN_DECIMALS: { type: 'int', min: 0, max: 36 },
+    STBTC1_DECIMALS: { type: 'int', min: 0, max: 18 },
+    STBTC2_CHANNELID: { type: 'snowflake' },
+    STBTC2_CHANNELNAME: { type: 'string' },
+    STBTC3_CHANNELID: { type: 'snowflake' },
+    STBTC3_CHANNELNAME: { type: 'string' },
+    STBTC3_DECIMALS: { type: 'int', min: 0, max: 18 },
+    STBTC4_CHANNELID: { type: 'snowflake' },
+    STBTC4_CHANNELNAME: { type: 'string' },
+    STBTC4_DECIMALS: { type: 'int', min: 0, max: 18 },
+    STBTC5_CHANNELID: { type: 'snowflake' },
+    STBTC5_CHANNELNAME: { type: 'string' },
+    STBTC5_DECIMALS: { type: 'int', min: 0, max: 18 },
+    STBTC_CAP: { type: 'number', min: 0.00000001 },
+
+    // Transaction tracker
+    ADDRESS1: { type: 'address' },
+    START_BLOCK: { type: 'int', min: 1 },
+    MAX_CONCURRENT_REQUESTS: { type: 'int', min: 1, max: 500 },
+    BATCH_SIZE: { type: 'int', min: 1, max: 100000 },
+    REQUEST_DELAY: { type: 'int', min: 0, max: 60000 },
+
+    // Analysis scripts
+    AGENT: { type: 'address' },
+    TX_COUNT: { type: 'int', min: 1 },
+    TASK1: { type: 'address' },
+    TASK2: { type: 'address' },
+    TASK3: { type: 'address' },
+    TASK4: { type: 'address' },
+    TASK5: { type: 'address' },
+    TASK6: { type: 'address' },
+    TASK7: { type: 'address' },
+    TASK8: { type: 'address' }
+};
+
+/**
+ * Find and parse the config file, if any
+ * @returns {{ file: string|null, values: Object }}
+ */
+function readConfigFile() {
+    const candidates = process.env.CONFIG_FILE ? [process.env.CONFIG_FILE] : DEFAULT_CONFIG_FILES;
+    const file = candidates.map(name => path.resolve(name)).find(name => fs.existsSync(name));
+
+    if (!file) {
+        if (process.env.CONFIG_FILE) {
+            throw new Error(`CONFIG_FILE ${process.env.CONFIG_FILE} not found`);
+        }
+        return { file: null, values: {} };
+    }
+
+    const content = fs.readFileSync(file, 'utf8');
+    let values;
+    if (/\.ya?ml$/i.test(file)) {
+        let yaml;
+        try {
+            yaml = require('js-yaml');
+        } catch (error) {
+            throw new Error(`Reading ${path.basename(file)} needs the js-yaml package (npm install js-yaml)`);
+        }
+        values = yaml.load(content);
+    } else {
+        values = JSON.parse(content);
+    }
+
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`${path.basename(file)} must contain an object of settings`);
+    }
+    return { file, values };
+}
+
+/**
+ * Turn a raw file/env value into the string form process.env uses
+ */
+function toEnvString(value) {
+    if (Array.isArray(value)) {
+        return value.map(item => String(item).trim()).join(',');
+    }
+    return String(value).trim();
+}
+
+/**
+ * Load, validate and apply configuration
+ * @returns {Object} { file, values, sources, sections, errors, warnings, invalidKeys, counters }
+ */
+function loadConfig() {
+    const { file, values: fileValues } = readConfigFile();
+    const errors = [];
+    const warnings = [];
+    const invalidKeys = new Set();
+    const values = {};
+    const sources = {};
+
+    // Structured sections (objects, or arrays under unknown keys) are kept
+    // as-is for the modules that read them instead of going to process.env
+    const sections = {};
+    const scalarFileValues = {};
+    for (const [key, value] of Object.entries(fileValues)) {
+        if (value === null || value === undefined) continue;
+        const isStructured = typeof value === 'object' && !(Array.isArray(value) && SCHEMA[key] && SCHEMA[key].list);
+        if (isStructured) {
+            sections[key] = value;
+        } else {
+            scalarFileValues[key] = value;
+        }
+    }
+
+    for (const key of Object.keys(scalarFileValues)) {
+        if (!SCHEMA[key]) {
+            warnings.push(`${key}: not a known setting, passed through without validation`);
+        }
+    }
+
+    // Merge: env overrides file
+    const keys = new Set([...Object.keys(SCHEMA), ...Object.keys(scalarFileValues)]);
+    for (const key of keys) {
+        if (process.env[key] !== undefined && process.env[key] !== '') {
+            values[key] = process.env[key].trim();
+            sources[key] = 'env';
+        } else if (scalarFileValues[key] !== undefined) {
+            values[key] = toEnvString(scalarFileValues[key]);
+            sources[key] = 'file';
+        }
+    }
+
+    // Validate every known setting that is set
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        const value = values[key];
+        if (value === undefined || value === '') {
+            // A dry run never connects to Discord, so it needs no token
+            if (spec.required && values.DRY_RUN !== '1') {
+                errors.push(`${key}: required but not set`);
+                invalidKeys.add(key);
+            }
+            continue;
+        }
+
+        const items = spec.list ? value.split(',').map(item => item.trim()).filter(Boolean) : [value];
+        for (const item of items) {
+            const problem = TYPES[spec.type](item, spec);
+            if (problem) {
+                const shown = spec.type === 'secret' ? '<hidden>' : `"${item}"`;
+                errors.push(`${key}: ${shown} ${problem}`);
+                invalidKeys.add(key);
+            }
+        }
+    }
+
+    // Counter definitions from the counters section, or the legacy settings
+    const counters = loadCounterDefinitions(sections, values, invalidKeys);
+
+    // Apply back to process.env for the rest of the code
+    for (const [key, value] of Object.entries(values)) {
+        process.env[key] = value;
+    }
+
+    return { file, values, sources, sections, errors, warnings, invalidKeys, counters };
+}
+
+/**
+ * Check whether a setting is present and valid
+ */
+function isSettingUsable(config, key) {
+    return !!process.env[key] && !(config && config.invalidKeys.has(key));
+}
+
+/**
+ * Print one startup report of what is configured and enabled
+ * @param {Object} config - Result of loadConfig()
+ * @param {Object} featureState - { enabled: Array<feature>, disabled: Array<{name, reason}> }
+ */
+function printConfigReport(config, { enabled = [], disabled = [] } = {}) {
+    const source = config.file ? `${path.basename(config.file)} + environment` : 'environment';
+    const enabledNames = new Set(enabled.map(feature => feature.name));
+    const line = (text) => logger.info(`   ${text}`);
+
+    logger.info(`📋 Configuration report (source: ${source})`);
+
+    line(`Features enabled: ${enabled.map(feature => feature.name).join(', ') || 'none'}`);
+    for (const feature of disabled) {
+        line(`Feature ${feature.name} disabled: ${feature.reason}`);
+    }
+
+    let counterErrors = 0;
+    for (const counter of config.counters) {
+        if (!enabledNames.has(counter.feature)) continue;
+        if (counter.status === 'error') counterErrors++;
+        if (counter.status === 'error') {
+            logger.error(`❌ ${counter.label}: ${counter.reason}`);
+        } else if (counter.status === 'enabled') {
+            line(`✅ ${counter.label}: channel ${counter.channelId}, "${counter.template}"`);
+        } else {
+            line(`➖ ${counter.label}: ${counter.reason}`);
+        }
+    }
+
+    const schedules = Object.keys(SCHEMA).filter(key => key.startsWith('CRON_SCHEDULE_') && process.env[key]);
+    for (const key of schedules) {
+        line(`${key}: ${process.env[key]}`);
+    }
+
+    for (const warning of config.warnings) {
+        logger.warn(`⚠️ ${warning}`);
+    }
+    for (const error of config.errors) {
+        logger.error(`❌ ${error}`);
+    }
+    if (config.errors.length === 0 && counterErrors === 0) {
+        line('✅ No configuration errors');
+    }
+}
+
+module.exports = {
+    SCHEMA,
+    loadConfig,
+    isSettingUsable,
+    printConfigReport
+};
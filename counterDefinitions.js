@@ -0,0 +1,234 @@
+/**
+ * Counter Definitions Module
+ * Builds the list of channel counters from the `counters` section of the
+ * config file, or from the legacy COUNTER* / STBTC* settings when there is none
+ *
+ * A counter definition:
+ *   name        - Unique identifier, also how derived expressions refer to it
+ *   feature     - Job that renames its channel: counters (default) or stbtc
+ *   channelId   - Channel to rename; counters without one are only computed
+ *   template    - Channel name template, see template.js ({count}, {count:compact}, {delta24h}...)
+ *   source      - Where the value comes from (see SOURCE_TYPES)
+ *   format      - { decimals, prefix, suffix } for {count} and for /stbtc
+ *   monotonic   - The value can never go down
+ *   nonZero     - Zero can only mean a broken source
+ *
+ * Source types:
+ *   ethCall         { to, abi | data, args, decimals, rpcUrl }
+ *   http            { url, path, headers } - path like "rates[max:date].rate", or a list of fallbacks
+ *   routescanCount  { url } - Routescan list endpoint, its "count" is the value
+ *   derived         { expression } - arithmetic over other counters and env.NAME settings
+ *   mints           {} - total Citadel mints across CONTRACT_ADDRESS (nft feature)
+ *   spins           {} - total Satoshi Spins
+ */
+
+const { parse, getIdentifiers } = require('./expression.js');
+const { parseTemplate, getTemplateReferences } = require('./template.js');
+
+const SOURCE_TYPES = ['ethCall', 'http', 'routescanCount', 'derived', 'mints', 'spins'];
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const STBTC_ADDRESS = '0xF4586028FFdA7Eca636864F80f8a3f2589E33795';
+
+/**
+ * Counters the bot has always had, configured through env settings
+ */
+function getLegacyDefinitions(values) {
+    const int = (key, fallback) => values[key] !== undefined ? parseInt(values[key], 10) : fallback;
+
+    return [
+        {
+            name: 'totalMints',
+            label: 'COUNTER1 (total mints)',
+            feature: 'counters',
+            channelKeys: ['COUNTER1_CHANNEL_ID', 'COUNTER1_NAME'],
+            source: { type: 'mints' },
+            // The ADD offset is shown, not stored
+            count: values.ADD ? '{count + env.ADD}' : '{count}',
+            monotonic: true,
+            nonZero: true
+        },
+        {
+            name: 'totalSpins',
+            label: 'COUNTER2 (total spins)',
+            feature: 'counters',
+            channelKeys: ['COUNTER2_CHANNEL_ID', 'COUNTER2_NAME'],
+            source: { type: 'spins' },
+            monotonic: true,
+            nonZero: true
+        },
+        {
+            name: 'stbtcTokenQuantity',
+            label: 'STBTC1 (token quantity)',
+            feature: 'stbtc',
+            channelKeys: ['STBTC1_CHANNELID', 'STBTC1_CHANNELNAME'],
+            source: { type: 'ethCall', to: STBTC_ADDRESS, data: '0x817b1cd2', decimals: int('STBTC1_TOKEN_DECIMALS', 18) },
+            format: { decimals: int('STBTC1_DECIMALS', 2) },
+            nonZero: true
+        },
+        {
+            name: 'stbtcHolders',
+            label: 'STBTC2 (holders)',
+            feature: 'stbtc',
+            channelKeys: ['STBTC2_CHANNELID', 'STBTC2_CHANNELNAME'],
+            source: { type: 'routescanCount', url: `https://api.routescan.io/v2/network/mainnet/evm/3637/erc20/${STBTC_ADDRESS}/holders` },
+            nonZero: true
+        },
+        {
+            name: 'stbtcExchangeRate',
+            label: 'STBTC3 (exchange rate)',
+            feature: 'stbtc',
+            channelKeys: ['STBTC3_CHANNELID', 'STBTC3_CHANNELNAME'],
+            source: { type: 'http', url: 'https://sidecar.botanixlabs.com/api/exchangeRate', path: ['rates[max:date].rate', 'rates[max:date].exchangeRate'] },
+            format: { decimals: int('STBTC3_DECIMALS', 6) },
+            nonZero: true
+        },
+        {
+            name: 'stbtcCapPercentage',
+            label: 'STBTC4 (cap percentage)',
+            feature: 'stbtc',
+            channelKeys: ['STBTC4_CHANNELID', 'STBTC4_CHANNELNAME'],
+            requires: ['STBTC_CAP'],
+            source: { type: 'derived', expression: 'stbtcTokenQuantity / env.STBTC_CAP * 100' },
+            format: { decimals: int('STBTC4_DECIMALS', 2) },
+            count: '{count}%'
+        },
+        {
+            name: 'stbtcYieldApr',
+            label: 'STBTC5 (yield APR)',
+            feature: 'stbtc',
+            channelKeys: ['STBTC5_CHANNELID', 'STBTC5_CHANNELNAME'],
+            source: { type: 'http', url: 'https://sidecar.botanixlabs.com/api/yieldApr', path: 'apr' },
+            format: { decimals: int('STBTC5_DECIMALS', 2) }
+        }
+    ].map(({ channelKeys: [channelKey, templateKey], count, ...definition }) => ({
+        ...definition,
+        channelKey,
+        templateKey,
+        channelId: values[channelKey] || null,
+        template: values[templateKey] ? toTemplate(values[templateKey], count) : null
+    }));
+}
+
+/**
+ * Turn a legacy name setting into a template: its single {count} may carry
+ * an expression, and {STBTC_CAP} becomes an ordinary setting reference
+ */
+function toTemplate(name, count = '{count}') {
+    return name.replace('{count}', count).replace('{STBTC_CAP}', '{env.STBTC_CAP}');
+}
+
+/**
+ * Accept the section as an array of definitions or an object keyed by name
+ */
+function normalizeSection(section) {
+    const list = Array.isArray(section)
+        ? section
+        : Object.entries(section).map(([name, definition]) => ({ name, ...definition }));
+
+    return list.map(definition => ({
+        feature: 'counters',
+        format: {},
+        ...definition,
+        label: definition.label || definition.name,
+        channelId: definition.channelId ? String(definition.channelId) : null,
+        template: definition.template || null
+    }));
+}
+
+function checkSource(source, values) {
+    if (!source || !SOURCE_TYPES.includes(source.type)) {
+        return `source.type must be one of: ${SOURCE_TYPES.join(', ')}`;
+    }
+    switch (source.type) {
+        case 'ethCall':
+            if (!source.to) return 'ethCall source needs "to"';
+            if (!source.abi && !source.data) return 'ethCall source needs "abi" or "data"';
+            if (!source.rpcUrl && !values.RPC_URL) return 'RPC_URL missing';
+            return null;
+        case 'http':
+        case 'routescanCount':
+            return source.url ? null : `${source.type} source needs "url"`;
+        case 'derived':
+            try {
+                parse(source.expression);
+            } catch (error) {
+                return error.message;
+            }
+            return null;
+        case 'mints':
+            return values.RPC_URL && values.CONTRACT_ADDRESS ? null : 'RPC_URL and CONTRACT_ADDRESS needed for mints';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Build and check every counter definition
+ * @param {Object} sections - Structured config file sections
+ * @param {Object} values - Merged scalar settings
+ * @param {Set<string>} invalidKeys - Settings that failed validation
+ * @returns {Array<Object>} Definitions with status 'enabled', 'off' (no channel, value only) or 'error' and a reason
+ */
+function loadCounterDefinitions(sections, values, invalidKeys) {
+    const fromFile = !!sections.counters;
+    const definitions = fromFile ? normalizeSection(sections.counters) : getLegacyDefinitions(values);
+    const names = new Set(definitions.map(definition => definition.name));
+    const duplicates = definitions
+        .map(definition => definition.name)
+        .filter((name, index, all) => all.indexOf(name) !== index);
+
+    return definitions.map(definition => {
+        let status = definition.channelId && definition.template ? 'enabled' : 'off';
+        let reason = status === 'off' ? (fromFile ? 'no channel, value only' : 'not configured') : null;
+
+        const problems = [];
+        if (!NAME_PATTERN.test(definition.name || '')) {
+            problems.push('name must be a letter followed by letters, digits or _');
+        }
+        if (duplicates.includes(definition.name)) {
+            problems.push('duplicate name');
+        }
+        if (!!definition.channelId !== !!definition.template) {
+            problems.push(`${definition.channelId ? (definition.templateKey || 'template') : (definition.channelKey || 'channelId')} missing`);
+        }
+        if (definition.channelKey && (invalidKeys.has(definition.channelKey) || invalidKeys.has(definition.templateKey))) {
+            problems.push('invalid settings');
+        }
+
+        // Legacy value-only counters are not checked, they are off until configured
+        if (status === 'enabled' || fromFile) {
+            const sourceProblem = checkSource(definition.source, values);
+            if (sourceProblem) problems.push(sourceProblem);
+
+            const missing = (definition.requires || []).filter(key => !values[key] || invalidKeys.has(key));
+            if (missing.length > 0) problems.push(`${missing.join(', ')} missing or invalid`);
+
+            if (!sourceProblem && definition.source.type === 'derived') {
+                const unknown = getIdentifiers(parse(definition.source.expression)).filter(name => !names.has(name));
+                if (unknown.length > 0) problems.push(`unknown counter(s) in expression: ${unknown.join(', ')}`);
+            }
+
+            if (definition.template) {
+                try {
+                    const unknown = getTemplateReferences(parseTemplate(definition.template))
+                        .filter(name => name !== 'count' && !names.has(name));
+                    if (unknown.length > 0) problems.push(`unknown counter(s) in template: ${unknown.join(', ')}`);
+                } catch (error) {
+                    problems.push(`template: ${error.message}`);
+                }
+            }
+        }
+
+        if (problems.length > 0) {
+            status = 'error';
+            reason = problems.join('; ');
+        }
+        return { ...definition, status, reason };
+    });
+}
+
+module.exports = {
+    SOURCE_TYPES,
+    loadCounterDefinitions
+};
@@ -0,0 +1,57 @@
+/**
+ * Counter History Module
+ * Counter samples and 24h changes, kept in the time series store as
+ * counter.<name> series
+ */
+
+const timeSeries = require('./timeSeries.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SERIES_PREFIX = 'counter.';
+
+// Accept a sample up to this far from exactly 24h ago
+const DELTA_TOLERANCE_MS = 60 * 60 * 1000;
+
+/**
+ * Record a fresh counter value
+ * @param {string} name - Counter name
+ * @param {number} value
+ */
+function recordSample(name, value) {
+    return timeSeries.append(`${SERIES_PREFIX}${name}`, value);
+}
+
+/**
+ * Samples of a counter since a point in time, oldest first
+ * Older samples are downsampled, see timeSeries.js.
+ * @param {string} name - Counter name
+ * @param {number} sinceMs - Unix time in milliseconds
+ * @returns {Promise<Array<{t: number, v: number}>>}
+ */
+function getSamples(name, sinceMs) {
+    return timeSeries.query(`${SERIES_PREFIX}${name}`, { since: sinceMs });
+}
+
+/**
+ * Names of all counters with history
+ */
+async function getCounterNames() {
+    const names = await timeSeries.listSeries(SERIES_PREFIX);
+    return names.map(name => name.slice(SERIES_PREFIX.length));
+}
+
+/**
+ * Change of a counter over the last 24 hours
+ * @returns {Promise<number|null>} null until there is a sample from about 24h ago
+ */
+async function getDelta24h(name, currentValue) {
+    const sample = await timeSeries.getPointNear(`${SERIES_PREFIX}${name}`, Date.now() - DAY_MS, DELTA_TOLERANCE_MS);
+    return sample ? currentValue - sample.v : null;
+}
+
+module.exports = {
+    recordSample,
+    getSamples,
+    getCounterNames,
+    getDelta24h
+};
@@ -1,80 +1,396 @@
-const { getTotalMints } = require('./nft.js');
-const { getTotalSpins } = require('./spin.js');
+/**
+ * Counter Engine
+ * Computes the counters defined in config (see counterDefinitions.js) and
+ * renames their channels. Values go through the value cache, renames through
+ * the rename queue.
+ */
 
-async function updateCounters(client) {
-    if (!client) {
-        console.error(`[${new Date().toISOString()}] ERROR: Discord client is required for updating counters.`);
-        return;
+const axios = require('axios');
+const ethers = require('ethers');
+const { getCheckedTotalMints } = require('./nft.js');
+const { getCheckedTotalSpins } = require('./spin.js');
+const { requestRename } = require('./renameQueue.js');
+const { getValidatedValue, markStale } = require('./valueCache.js');
+const { parse, evaluate, getIdentifiers } = require('./expression.js');
+const { parseTemplate, getTemplateReferences, renderTemplate } = require('./template.js');
+const { recordSample, getDelta24h } = require('./counterHistory.js');
+const { resolveNetUrl } = require('./netFixtures.js');
+const { getState, saveState } = require('./stateStore.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('counters');
+
+// ethers v5 and v6 keep Interface in different places
+const Interface = (ethers.utils && ethers.utils.Interface) || ethers.Interface;
+
+/**
+ * Read a value out of a JSON document
+ * Path segments are separated by dots; [n] picks an array item (negative counts
+ * from the end), [max:field] / [min:field] the item with the largest / smallest field.
+ */
+function getJsonPath(data, path) {
+    const segments = path.match(/[^.[\]]+|\[[^\]]*\]/g) || [];
+    let current = data;
+
+    for (const segment of segments) {
+        if (current === null || current === undefined) return undefined;
+
+        if (!segment.startsWith('[')) {
+            current = current[segment];
+            continue;
+        }
+
+        const selector = segment.slice(1, -1);
+        if (!Array.isArray(current)) return undefined;
+
+        const extreme = selector.match(/^(max|min):(.+)$/);
+        if (extreme) {
+            const [, direction, field] = extreme;
+            const key = (item) => {
+                const value = item && item[field];
+                const number = Number(value);
+                return isNaN(number) ? Date.parse(value) : number;
+            };
+            current = current.reduce((best, item) => {
+                if (best === undefined) return item;
+                return (direction === 'max' ? key(item) > key(best) : key(item) < key(best)) ? item : best;
+            }, undefined);
+        } else {
+            const index = parseInt(selector, 10);
+            current = current[index < 0 ? current.length + index : index];
+        }
     }
+    return current;
+}
 
-    // Counter 1: Total Mints
-    try {
-        const channelId1 = process.env.COUNTER1_CHANNEL_ID;
-        const nameTemplate1 = process.env.COUNTER1_NAME;
-        console.log(`[${new Date().toISOString()}] DEBUG: COUNTER1_CHANNEL_ID=${channelId1}, COUNTER1_NAME=${nameTemplate1}`);
-        if (channelId1 && nameTemplate1) {
-            const totalMints = await getTotalMints();
-            const addValue = parseInt(process.env.ADD || '0', 10);
-            const displayMints = totalMints + (isNaN(addValue) ? 0 : addValue);
-            console.log(`[${new Date().toISOString()}] DEBUG: totalMints=${totalMints}, addValue=${addValue}, displayMints=${displayMints}`);
-            let channel;
-            try {
-                channel = await client.channels.fetch(channelId1);
-                console.log(`[${new Date().toISOString()}] DEBUG: Fetched channel for COUNTER1_CHANNEL_ID: ${!!channel}`);
-            } catch (fetchErr) {
-                console.error(`[${new Date().toISOString()}] ERROR: Could not fetch channel for COUNTER1_CHANNEL_ID:`, fetchErr);
+/**
+ * Fetch the raw number behind a non-derived source
+ */
+async function fetchSourceValue(source) {
+    switch (source.type) {
+        case 'ethCall': {
+            const rpcUrl = source.rpcUrl || process.env.RPC_URL;
+            let data = source.data;
+            let fragment = null;
+            let iface = null;
+            if (source.abi) {
+                iface = new Interface([source.abi]);
+                fragment = iface.fragments.find(item => item.type === 'function');
+                data = iface.encodeFunctionData(fragment, source.args || []);
             }
-            if (channel) {
-                const newName = nameTemplate1.replace('{count}', displayMints);
-                try {
-                    await channel.setName(newName);
-                    console.log(`[${new Date().toISOString()}] INFO: Updated counter 1 channel name to: ${newName}`);
-                } catch (setNameErr) {
-                    console.error(`[${new Date().toISOString()}] ERROR: Failed to set channel name for COUNTER1_CHANNEL_ID:`, setNameErr);
+
+            const response = await axios.post(resolveNetUrl(rpcUrl), {
+                jsonrpc: '2.0',
+                method: 'eth_call',
+                params: [{ to: source.to, data }, 'latest'],
+                id: 1
+            }, {
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+            if (!response.data || !response.data.result) {
+                throw new Error(`Invalid RPC response for eth_call to ${source.to}`);
+            }
+
+            const raw = iface
+                ? iface.decodeFunctionResult(fragment, response.data.result)[0].toString()
+                : BigInt(response.data.result).toString();
+            return Number(raw) / Math.pow(10, source.decimals || 0);
+        }
+
+        case 'http': {
+            const response = await axios.get(resolveNetUrl(source.url), { headers: source.headers });
+            const paths = Array.isArray(source.path) ? source.path : [source.path];
+            for (const path of paths) {
+                const value = path ? getJsonPath(response.data, path) : response.data;
+                if (value !== undefined && value !== null && value !== '') {
+                    const number = parseFloat(value);
+                    if (isNaN(number)) {
+                        throw new Error(`${source.url}: ${path} is not a number (${value})`);
+                    }
+                    return number;
                 }
-            } else {
-                console.warn(`[${new Date().toISOString()}] WARN: Channel not found or not accessible for COUNTER1_CHANNEL_ID`);
             }
-        } else {
-            console.warn(`[${new Date().toISOString()}] WARN: COUNTER1_CHANNEL_ID or COUNTER1_NAME not set in .env`);
+            throw new Error(`${source.url}: no value at ${paths.join(' or ')}`);
+        }
+
+        case 'routescanCount': {
+            const url = new URL(source.url);
+            if (!url.searchParams.has('count')) url.searchParams.set('count', 'true');
+            if (!url.searchParams.has('limit')) url.searchParams.set('limit', '1');
+            const response = await axios.get(resolveNetUrl(url.toString()));
+            if (!response.data || typeof response.data.count !== 'number') {
+                throw new Error(`${source.url}: response has no count`);
+            }
+            return response.data.count;
+        }
+
+        default:
+            throw new Error(`Unknown source type ${source.type}`);
+    }
+}
+
+/**
+ * Turn a value into its display string using the counter's format
+ */
+function formatValue(definition, value) {
+    const format = definition.format || {};
+    let number = value;
+    let text;
+    if (format.decimals !== undefined) {
+        const factor = Math.pow(10, format.decimals);
+        number = Math.round(number * factor) / factor;
+        text = number.toFixed(format.decimals);
+    } else {
+        text = String(number);
+    }
+    return `${format.prefix || ''}${text}${format.suffix || ''}`;
+}
+
+class CounterEngine {
+    /**
+     * @param {Client} client - Discord client
+     * @param {Array<Object>} definitions - config.counters from loadConfig()
+     */
+    constructor(client, definitions) {
+        this.client = client;
+        this.definitions = new Map();
+        this.expressions = new Map();
+        this.templates = new Map();
+        // Latest result of every counter, for /metrics, also kept in the
+        // "counters" namespace of the state store
+        this.lastResults = new Map();
+        this.savedResults = null;
+
+        for (const definition of definitions) {
+            if (definition.status === 'error') continue;
+            this.definitions.set(definition.name, definition);
+            if (definition.source && definition.source.type === 'derived') {
+                this.expressions.set(definition.name, parse(definition.source.expression));
+            }
+            if (definition.status === 'enabled') {
+                this.templates.set(definition.name, parseTemplate(definition.template));
+            }
+        }
+    }
+
+    /**
+     * Restore the results saved before the last restart (safe to call more than once)
+     */
+    async loadState() {
+        if (this.savedResults) return;
+        this.savedResults = await getState('counters');
+        for (const [name, result] of Object.entries(this.savedResults)) {
+            if (this.definitions.has(name) && !this.lastResults.has(name)) {
+                this.lastResults.set(name, result);
+            }
         }
-    } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: Failed to update counter 1:`, error.message);
     }
 
-    // Counter 2: Total Spins
-    try {
-        const channelId2 = process.env.COUNTER2_CHANNEL_ID;
-        const nameTemplate2 = process.env.COUNTER2_NAME;
-        console.log(`[${new Date().toISOString()}] DEBUG: COUNTER2_CHANNEL_ID=${channelId2}, COUNTER2_NAME=${nameTemplate2}`);
-        if (channelId2 && nameTemplate2) {
-            const totalSpins = await getTotalSpins();
-            console.log(`[${new Date().toISOString()}] DEBUG: totalSpins=${totalSpins}`);
-            let channel;
+    /**
+     * Compute counters and everything they depend on
+     * Each counter is fetched at most once per call, however many others use it.
+     * @param {Array<string>} names - Counter names
+     * @returns {Promise<Map<string, {value: number, display: string, stale: boolean, updatedAt: string}>>}
+     *   Rejected entries are Error objects
+     */
+    async evaluate(names) {
+        const pending = new Map();
+        const results = new Map();
+
+        const resolve = (name, chain = []) => {
+            if (chain.includes(name)) {
+                return Promise.reject(new Error(`Circular counter reference: ${[...chain, name].join(' -> ')}`));
+            }
+            if (!pending.has(name)) {
+                pending.set(name, this.computeCounter(name, (dependency) => resolve(dependency, [...chain, name])));
+            }
+            return pending.get(name);
+        };
+
+        await Promise.all(names.map(async (name) => {
             try {
-                channel = await client.channels.fetch(channelId2);
-            } catch (fetchErr) {
-                console.error(`[${new Date().toISOString()}] ERROR: Could not fetch channel for COUNTER2_CHANNEL_ID:`, fetchErr);
+                results.set(name, await resolve(name));
+            } catch (error) {
+                results.set(name, error);
             }
-            if (channel) {
-                const newName = nameTemplate2.replace('{count}', totalSpins);
-                try {
-                    await channel.setName(newName);
-                    console.log(`[${new Date().toISOString()}] INFO: Updated counter 2 channel name to: ${newName}`);
-                } catch (setNameErr) {
-                    console.error(`[${new Date().toISOString()}] ERROR: Failed to set channel name for COUNTER2_CHANNEL_ID:`, setNameErr);
+        }));
+        return results;
+    }
+
+    async computeCounter(name, resolveDependency) {
+        const definition = this.definitions.get(name);
+        if (!definition) {
+            throw new Error(`Counter ${name} is not defined or has configuration errors`);
+        }
+
+        let result;
+        switch (definition.source.type) {
+            case 'mints':
+                result = await getCheckedTotalMints();
+                break;
+            case 'spins':
+                result = await getCheckedTotalSpins();
+                break;
+            case 'derived': {
+                const tree = this.expressions.get(name);
+                const dependencies = {};
+                for (const dependency of getIdentifiers(tree)) {
+                    dependencies[dependency] = await resolveDependency(dependency);
+                }
+                const value = evaluate(tree, (identifier) => dependencies[identifier].value);
+                if (!Number.isFinite(value)) {
+                    throw new Error(`${name}: expression gave ${value}`);
+                }
+                const inputs = Object.values(dependencies);
+                result = {
+                    value,
+                    // A value derived from stale inputs is stale too
+                    stale: inputs.some(input => input.stale),
+                    updatedAt: inputs.map(input => input.updatedAt).sort()[0] || new Date().toISOString()
+                };
+                break;
+            }
+            default:
+                result = await getValidatedValue(`counter.${name}`, () => fetchSourceValue(definition.source), {
+                    monotonic: !!definition.monotonic,
+                    nonZero: !!definition.nonZero
+                });
+        }
+
+        if (!result.stale) {
+            await recordSample(name, result.value);
+        }
+        const computed = { ...result, display: formatValue(definition, result.value) };
+        this.lastResults.set(name, computed);
+        if (this.savedResults) {
+            this.savedResults[name] = computed;
+            saveState();
+        }
+        return computed;
+    }
+
+    /**
+     * Names of the counters a counter's template refers to, itself included
+     */
+    getReferences(name) {
+        return getTemplateReferences(this.templates.get(name))
+            .map(reference => reference === 'count' ? name : reference)
+            .filter((reference, index, all) => all.indexOf(reference) === index);
+    }
+
+    /**
+     * Render a counter's channel name
+     * @param {string} name - Counter name
+     * @param {Map} results - Output of evaluate() covering getReferences(name)
+     * @returns {Promise<string>} The name, with the stale marker if any value used is stale
+     */
+    async renderName(name, results) {
+        const references = this.getReferences(name);
+        const values = {};
+        const deltas = {};
+        let stale = false;
+
+        for (const reference of references) {
+            const result = results.get(reference);
+            if (result instanceof Error) throw result;
+            values[reference] = result.value;
+            deltas[reference] = await getDelta24h(reference, result.value);
+            stale = stale || result.stale;
+        }
+
+        const own = (reference) => reference === 'count' ? name : reference;
+        const rendered = renderTemplate(this.templates.get(name), {
+            getValue: (reference) => values[own(reference)],
+            getDelta: (reference) => deltas[own(reference)],
+            getDecimals: (reference) => {
+                const definition = this.definitions.get(own(reference));
+                return definition && definition.format ? definition.format.decimals : undefined;
+            }
+        });
+        return markStale(rendered, { stale });
+    }
+
+    /**
+     * Rename the channels of every configured counter of a feature
+     * @param {string} feature - counters or stbtc
+     * @returns {Promise<number>} Number of counters updated
+     * @throws When any counter failed, after trying all of them
+     */
+    async updateAll(feature) {
+        if (!this.client) {
+            throw new Error('Discord client is required for updating counters');
+        }
+
+        const counters = Array.from(this.definitions.values())
+            .filter(definition => definition.feature === feature && definition.status === 'enabled');
+        if (counters.length === 0) {
+            return 0;
+        }
+
+        logger.info(`Updating ${counters.length} ${feature} counters...`);
+        const names = new Set(counters.flatMap(definition => this.getReferences(definition.name)));
+        const results = await this.evaluate(Array.from(names));
+
+        const failed = [];
+        for (const definition of counters) {
+            const result = results.get(definition.name);
+            try {
+                if (result instanceof Error) throw result;
+                const newName = await this.renderName(definition.name, results);
+
+                const channel = await this.client.channels.fetch(definition.channelId);
+                if (!channel) {
+                    throw new Error(`channel ${definition.channelId} not found`);
+                }
+
+                const status = await requestRename(channel, newName);
+                if (status === 'renamed') {
+                    logger.info(`Updated ${definition.label} channel name to: ${newName}${result.stale ? ' (stale)' : ''}`);
                 }
+            } catch (error) {
+                logger.error(`Failed to update ${definition.label}:`, error.message);
+                failed.push(definition.name);
+            }
+        }
+
+        if (failed.length > 0) {
+            throw new Error(`${failed.length} of ${counters.length} ${feature} counters failed: ${failed.join(', ')}`);
+        }
+        return counters.length;
+    }
+
+    /**
+     * Compute counters without renaming anything
+     * @returns {Promise<Object>} { [name]: { value, display, stale, updatedAt }, or null if it failed }
+     */
+    async getResults(names) {
+        const results = await this.evaluate(names);
+        const values = {};
+        for (const name of names) {
+            const result = results.get(name);
+            if (result instanceof Error) {
+                logger.warn(`Counter ${name} failed: ${result.message}`);
+                values[name] = null;
             } else {
-                console.warn(`[${new Date().toISOString()}] WARN: Channel not found or not accessible for COUNTER2_CHANNEL_ID`);
+                values[name] = result;
             }
-        } else {
-            console.warn(`[${new Date().toISOString()}] WARN: COUNTER2_CHANNEL_ID or COUNTER2_NAME not set in .env`);
         }
-    } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: Failed to update counter 2:`, error.message);
+        return values;
+    }
+}
+
+/**
+ * The counter engine shared by the counters and stbtc features and /stbtc
+ */
+function getCounterEngine(context) {
+    if (!context.counterEngine) {
+        context.counterEngine = new CounterEngine(context.client, context.config.counters);
     }
+    return context.counterEngine;
 }
 
 module.exports = {
-    updateCounters
-}; 
\ No newline at end of file
+    CounterEngine,
+    getCounterEngine,
+    getJsonPath
+};
@@ -0,0 +1,283 @@
+/**
+ * Dry Run Client Module
+ * Stand-in for the Discord client used by DRY_RUN=1 (or --dry-run)
+ *
+ * Every channel exists and accepts anything. Messages and channel renames are
+ * written to stdout, or to DRY_RUN_DIR when it is set:
+ *   NNN-<channel>.json  - The message payload as it would be sent
+ *   NNN-<channel>.txt   - A rough text rendering of it
+ *   NNN-<file name>     - Attached files, e.g. history charts
+ *   renames.txt         - One line per channel rename
+ *
+ * Content types without a route go to a virtual channel named after the type
+ * (see channelRouter.js), so output shows up without any /route setup.
+ *
+ * Saved state is read but never written during a dry run (see isDryRun()):
+ * the state store, time series and transaction progress stay as the live
+ * bot left them.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('dryRunClient');
+
+let outputCount = 0;
+let messageCount = 0;
+let pendingWrite = Promise.resolve();
+
+/**
+ * DRY_RUN=1 (or --dry-run): modules that persist state skip their writes
+ */
+function isDryRun() {
+    return process.env.DRY_RUN === '1';
+}
+
+function getOutputDirectory() {
+    return process.env.DRY_RUN_DIR || null;
+}
+
+/**
+ * Plain object form of a payload, EmbedBuilder and friends included
+ */
+function toPlain(value) {
+    if (value && typeof value.toJSON === 'function' && !Buffer.isBuffer(value)) {
+        return toPlain(value.toJSON());
+    }
+    if (Buffer.isBuffer(value)) {
+        return `<${value.length} bytes>`;
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlain);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlain(item)]));
+    }
+    return value;
+}
+
+function normalizeMessage(message) {
+    return typeof message === 'string' ? { content: message } : toPlain(message);
+}
+
+/**
+ * Rough text rendering of a message, close enough to judge the layout
+ */
+function renderText(message) {
+    const lines = [];
+    if (message.content) lines.push(message.content);
+
+    for (const embed of message.embeds || []) {
+        const color = typeof embed.color === 'number' ? ` #${embed.color.toString(16).padStart(6, '0')}` : '';
+        lines.push(`┌─ Embed${color}`);
+        if (embed.author && embed.author.name) lines.push(`│ ${embed.author.name}`);
+        if (embed.title) lines.push(`│ ** ${embed.title} **${embed.url ? ` <${embed.url}>` : ''}`);
+        if (embed.description) {
+            embed.description.split('\n').forEach(line => lines.push(`│ ${line}`));
+        }
+        for (const field of embed.fields || []) {
+            // Zero-width spacer fields only add a gap
+            const name = field.name === '\u200B' ? '' : field.name;
+            const value = field.value === '\u200B' ? '' : field.value;
+            if (!name && !value) {
+                lines.push('│');
+                continue;
+            }
+            lines.push(`│ ${field.inline ? '▪' : '■'} ${name} ${value.split('\n').join('\n│     ')}`);
+        }
+        if (embed.image && embed.image.url) lines.push(`│ [image ${embed.image.url}]`);
+        if (embed.thumbnail && embed.thumbnail.url) lines.push(`│ [thumbnail ${embed.thumbnail.url}]`);
+        if (embed.footer && embed.footer.text) lines.push(`│ — ${embed.footer.text}`);
+        if (embed.timestamp) lines.push(`│ ${embed.timestamp}`);
+        lines.push('└─');
+    }
+
+    for (const file of message.files || []) {
+        lines.push(`[file ${file.name || 'attachment'}]`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Discord limits a message breaks; the real API would reject it
+ * @returns {Array<string>}
+ */
+function getLimitProblems(message) {
+    const problems = [];
+    const check = (what, text, limit) => {
+        if (text && text.length > limit) problems.push(`${what} is ${text.length} characters (limit ${limit})`);
+    };
+    check('content', message.content, 2000);
+    if ((message.embeds || []).length > 10) problems.push(`${message.embeds.length} embeds (limit 10)`);
+    (message.embeds || []).forEach((embed, index) => {
+        const fields = embed.fields || [];
+        check(`embed ${index + 1} title`, embed.title, 256);
+        check(`embed ${index + 1} description`, embed.description, 4096);
+        check(`embed ${index + 1} footer`, embed.footer && embed.footer.text, 2048);
+        if (fields.length > 25) problems.push(`embed ${index + 1} has ${fields.length} fields (limit 25)`);
+        fields.forEach((field) => {
+            check(`embed ${index + 1} field name`, field.name, 256);
+            check(`embed ${index + 1} field "${field.name}"`, field.value, 1024);
+        });
+        const total = [embed.title, embed.description, embed.footer && embed.footer.text, embed.author && embed.author.name,
+            ...fields.flatMap(field => [field.name, field.value])].reduce((sum, text) => sum + (text ? text.length : 0), 0);
+        if (total > 6000) problems.push(`embed ${index + 1} is ${total} characters in total (limit 6000)`);
+    });
+    return problems;
+}
+
+function getSafeName(name) {
+    return String(name).replace(/[^A-Za-z0-9_.-]+/g, '_');
+}
+
+/**
+ * Queue output; writes happen in order so numbering matches the log
+ */
+function writeOutput(task) {
+    pendingWrite = pendingWrite.then(task).catch((error) => {
+        logger.error(`❌ Error writing dry run output:`, error);
+    });
+    return pendingWrite;
+}
+
+function outputMessage(channel, action, payload) {
+    const message = normalizeMessage(payload);
+    const number = String(++outputCount).padStart(3, '0');
+    const directory = getOutputDirectory();
+    for (const problem of getLimitProblems(message)) {
+        logger.warn(`⚠️ Dry run: message ${number} to #${channel.name} would be rejected by Discord: ${problem}`);
+    }
+
+    return writeOutput(async () => {
+        if (!directory) {
+            process.stdout.write(`\n===== ${number} ${action} #${channel.name} =====\n`
+                + `${renderText(message)}\n----- JSON -----\n${JSON.stringify(message, null, 2)}\n`);
+            return;
+        }
+
+        await fs.mkdir(directory, { recursive: true });
+        const base = path.join(directory, `${number}-${getSafeName(channel.name)}`);
+        await fs.writeFile(`${base}.json`, JSON.stringify({ action, channel: channel.name, message }, null, 2), 'utf8');
+        await fs.writeFile(`${base}.txt`, `${action} #${channel.name}\n\n${renderText(message)}\n`, 'utf8');
+
+        // Attachments are kept from the original payload, before toPlain() replaced the buffers
+        for (const file of (typeof payload === 'object' && payload.files) || []) {
+            const data = file.attachment || file;
+            const filename = path.join(directory, `${number}-${getSafeName(file.name || path.basename(String(data)))}`);
+            if (Buffer.isBuffer(data)) {
+                await fs.writeFile(filename, data);
+            } else if (typeof data === 'string') {
+                // A path, e.g. a cached NFT image
+                await fs.copyFile(data, filename);
+            }
+        }
+        logger.info(`📝 Dry run: ${action} #${channel.name} written to ${base}.txt`);
+    });
+}
+
+function outputRename(channel, oldName, newName) {
+    const line = `${new Date().toISOString()} ${channel.id}: "${oldName}" -> "${newName}"`;
+    const directory = getOutputDirectory();
+
+    return writeOutput(async () => {
+        if (!directory) {
+            process.stdout.write(`\n===== rename ${line}\n`);
+            return;
+        }
+        await fs.mkdir(directory, { recursive: true });
+        await fs.appendFile(path.join(directory, 'renames.txt'), `${line}\n`, 'utf8');
+        logger.info(`📝 Dry run: rename ${line}`);
+    });
+}
+
+function createMessage(channel, id, payload) {
+    return {
+        id,
+        channel,
+        channelId: channel.id,
+        content: payload && payload.content,
+        pin: async () => {},
+        edit: async (edited) => {
+            await outputMessage(channel, `edit ${id} in`, edited);
+            return createMessage(channel, id, edited);
+        }
+    };
+}
+
+function createChannel(id) {
+    const channel = {
+        id,
+        // Virtual route channels are named after their content type
+        name: id.startsWith('route:') ? id.slice('route:'.length) : `channel-${id}`,
+        guild: null,
+        guildId: null,
+        isTextBased: () => true,
+        async send(payload) {
+            await outputMessage(channel, 'send to', payload);
+            return createMessage(channel, `dry-run-${++messageCount}`, payload);
+        },
+        async setName(name) {
+            const oldName = channel.name;
+            channel.name = name;
+            await outputRename(channel, oldName, name);
+            return channel;
+        },
+        messages: {
+            fetch: async (messageId) => createMessage(channel, messageId, null)
+        }
+    };
+    return channel;
+}
+
+/**
+ * Create the stub client
+ * login() emits "ready" like the real client; nothing connects anywhere.
+ * @returns {EventEmitter} Client with the parts of the discord.js API the bot uses
+ */
+function createDryRunClient() {
+    const client = new EventEmitter();
+    const channels = new Map();
+    let ready = false;
+
+    Object.assign(client, {
+        dryRun: true,
+        user: { tag: 'DryRun#0000', id: '0' },
+        ws: { status: 0, ping: -1 },
+        guilds: { cache: new Map() },
+        channels: {
+            cache: channels,
+            fetch: async (id) => {
+                if (!channels.has(id)) channels.set(id, createChannel(String(id)));
+                return channels.get(id);
+            }
+        },
+        isReady: () => ready,
+        async login() {
+            setImmediate(() => {
+                ready = true;
+                client.emit('ready', client);
+            });
+            return 'dry-run';
+        },
+        async destroy() {
+            ready = false;
+            await pendingWrite;
+        }
+    });
+    return client;
+}
+
+/**
+ * Wait for queued output to be written
+ */
+function flushDryRunOutput() {
+    return pendingWrite;
+}
+
+module.exports = {
+    isDryRun,
+    createDryRunClient,
+    flushDryRunOutput,
+    renderText
+};
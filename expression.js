@@ -0,0 +1,142 @@
+/**
+ * Expression Module
+ * Parses and evaluates the small arithmetic language used by derived counters:
+ * numbers, identifiers (other counters, env.NAME for numeric settings),
+ * + - * / %, unary minus and parentheses. No other code is ever evaluated.
+ */
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*)|(\S))/y;
+
+function tokenize(source) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < source.length) {
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(source);
+        if (!match) break;
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(match[1]), position: start });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'identifier', value: match[2], position: start });
+        } else if (match[3] !== undefined) {
+            if (!'+-*/%()'.includes(match[3])) {
+                throw new Error(`Unexpected "${match[3]}" in expression "${source}"`);
+            }
+            tokens.push({ type: 'operator', value: match[3], position: start });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} source - Expression text
+ * @returns {Object} Tree for evaluate() and getIdentifiers()
+ * @throws On syntax errors
+ */
+function parse(source) {
+    const tokens = tokenize(String(source));
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const fail = (message) => {
+        throw new Error(`${message} in expression "${source}"`);
+    };
+
+    function parsePrimary() {
+        const token = tokens[index++];
+        if (!token) fail('Unexpected end');
+        if (token.type === 'number') return { type: 'number', value: token.value };
+        if (token.type === 'identifier') return { type: 'identifier', name: token.value };
+        if (token.value === '-') return { type: 'negate', operand: parsePrimary() };
+        if (token.value === '(') {
+            const inner = parseSum();
+            const closing = tokens[index++];
+            if (!closing || closing.value !== ')') fail('Missing ")"');
+            return inner;
+        }
+        return fail(`Unexpected "${token.value}"`);
+    }
+
+    function parseProduct() {
+        let node = parsePrimary();
+        while (peek() && ['*', '/', '%'].includes(peek().value)) {
+            const operator = tokens[index++].value;
+            node = { type: 'binary', operator, left: node, right: parsePrimary() };
+        }
+        return node;
+    }
+
+    function parseSum() {
+        let node = parseProduct();
+        while (peek() && ['+', '-'].includes(peek().value)) {
+            const operator = tokens[index++].value;
+            node = { type: 'binary', operator, left: node, right: parseProduct() };
+        }
+        return node;
+    }
+
+    if (tokens.length === 0) fail('Empty');
+    const tree = parseSum();
+    if (index < tokens.length) fail(`Unexpected "${tokens[index].value}"`);
+    return tree;
+}
+
+/**
+ * Counter names referenced by a parsed expression (env.NAME settings excluded)
+ * @returns {Array<string>}
+ */
+function getIdentifiers(tree) {
+    switch (tree.type) {
+        case 'identifier': return tree.name.startsWith('env.') ? [] : [tree.name];
+        case 'negate': return getIdentifiers(tree.operand);
+        case 'binary': return [...new Set([...getIdentifiers(tree.left), ...getIdentifiers(tree.right)])];
+        default: return [];
+    }
+}
+
+/**
+ * Evaluate a parsed expression
+ * @param {Object} tree - Result of parse()
+ * @param {Function} resolve - Maps an identifier to a number
+ * @returns {number}
+ */
+function evaluate(tree, resolve) {
+    switch (tree.type) {
+        case 'number':
+            return tree.value;
+        case 'identifier': {
+            if (tree.name.startsWith('env.')) {
+                const key = tree.name.slice(4);
+                const value = parseFloat(process.env[key]);
+                if (isNaN(value)) {
+                    throw new Error(`${key} is not set to a number`);
+                }
+                return value;
+            }
+            return resolve(tree.name);
+        }
+        case 'negate':
+            return -evaluate(tree.operand, resolve);
+        case 'binary': {
+            const left = evaluate(tree.left, resolve);
+            const right = evaluate(tree.right, resolve);
+            switch (tree.operator) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/':
+                    if (right === 0) throw new Error('Division by zero');
+                    return left / right;
+                case '%': return left % right;
+            }
+        }
+    }
+    throw new Error(`Unknown expression node ${tree.type}`);
+}
+
+module.exports = {
+    parse,
+    evaluate,
+    getIdentifiers
+};
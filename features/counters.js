@@ -0,0 +1,33 @@
+/**
+ * Counters Feature
+ * Renames the channels of counters in the counters group (total mints and
+ * total spins by default, or anything defined in the config file)
+ * The mints source needs the nft feature.
+ */
+
+const { getCounterEngine } = require('../counters.js');
+const { createLogger } = require('../logger.js');
+const logger = createLogger('features/counters');
+
+module.exports = {
+    name: 'counters',
+    requiredSettings: [],
+
+    async init(context) {
+        await getCounterEngine(context).loadState();
+    },
+
+    start({ scheduler, counterEngine }) {
+        const schedule = process.env.CRON_SCHEDULE_COUNTERS || process.env.CRON_SCHEDULE_COUNTER;
+        if (!schedule) {
+            logger.info(`ℹ️ Counter job not scheduled, CRON_SCHEDULE_COUNTER not set.`);
+        }
+        scheduler.register({
+            name: 'counters',
+            schedule,
+            run: () => counterEngine.updateAll('counters')
+        });
+    },
+
+    async stop() {}
+};
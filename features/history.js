@@ -0,0 +1,84 @@
+/**
+ * History Feature
+ * Posts a daily embed with 7-day and 30-day sparklines of every counter
+ * to the channels routed for counter history
+ * Needs the canvas package; the feature is skipped at startup when it does not load.
+ */
+
+const { getSamples } = require('../counterHistory.js');
+const { renderSparklines } = require('../sparkline.js');
+const { createCounterHistoryMessage } = require('../messageConstructor');
+const { publishToRoutes } = require('../channelRouter.js');
+const { formatNumber } = require('../template.js');
+const { createLogger } = require('../logger.js');
+const logger = createLogger('features/history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Discord allows at most 10 embeds per message
+const EMBEDS_PER_MESSAGE = 10;
+
+/**
+ * Change between the first sample in the window and the latest one
+ * @returns {number|null}
+ */
+function getChange(samples, sinceMs) {
+    const first = samples.find(sample => sample.t >= sinceMs);
+    const last = samples[samples.length - 1];
+    if (!first || first === last) return null;
+    return last.v - first.v;
+}
+
+async function postCounterHistory({ client, config }) {
+    const now = Date.now();
+    const entries = [];
+    const files = [];
+
+    for (const counter of config.counters) {
+        if (counter.status === 'error') continue;
+        const samples = await getSamples(counter.name, now - 30 * DAY_MS);
+        if (samples.length === 0) continue;
+
+        const decimals = counter.format ? counter.format.decimals : undefined;
+        const imageName = `counter-${counter.name}.png`;
+        entries.push({
+            label: counter.label,
+            current: formatNumber(samples[samples.length - 1].v, decimals !== undefined ? [`fixed${decimals}`] : []),
+            change7d: getChange(samples, now - 7 * DAY_MS),
+            change30d: getChange(samples, now - 30 * DAY_MS),
+            decimals,
+            imageName
+        });
+        files.push({ attachment: renderSparklines(samples, now), name: imageName });
+    }
+
+    if (entries.length === 0) {
+        logger.info(`📈 No counter history yet, nothing to post`);
+        return 0;
+    }
+
+    for (let i = 0; i < entries.length; i += EMBEDS_PER_MESSAGE) {
+        const message = createCounterHistoryMessage(entries.slice(i, i + EMBEDS_PER_MESSAGE));
+        message.files = files.slice(i, i + EMBEDS_PER_MESSAGE);
+        await publishToRoutes(client, 'history', message);
+    }
+    return entries.length;
+}
+
+module.exports = {
+    name: 'history',
+    requiredSettings: [],
+    requiredPackages: ['canvas'],
+
+    async init() {},
+
+    start(context) {
+        context.scheduler.register({
+            name: 'history',
+            schedule: process.env.CRON_SCHEDULE_HISTORY || '5 0 * * *',
+            run: () => postCounterHistory(context)
+        });
+    },
+
+    async stop() {}
+};
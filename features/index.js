@@ -0,0 +1,168 @@
+/**
+ * Feature Loader
+ * Resolves the features named in FEATURES and drives their init/start/stop hooks
+ *
+ * A feature module exports:
+ *   name              - Unique name, also used as its job name
+ *   requiredSettings  - Env settings that must be set for the feature to load
+ *   requiredPackages  - Optional packages that must load (e.g. native ones) for the feature to load
+ *   init(context)     - One-time setup (may be async)
+ *   start(context)    - Register jobs with context.scheduler
+ *   stop(context)     - Flush and release resources on shutdown
+ */
+
+const path = require('path');
+const { isSettingUsable } = require('../config.js');
+const { createLogger } = require('../logger.js');
+const logger = createLogger('features');
+
+const BUILTIN_FEATURES = {
+    nft: './nft.js',
+    spin: './spin.js',
+    counters: './counters.js',
+    stbtc: './stbtc.js',
+    history: './history.js',
+    tx: './txTracker.js'
+};
+
+const DEFAULT_FEATURES = ['nft', 'spin', 'counters', 'stbtc', 'history'];
+
+// Why a built-in feature that is off by default is off
+const OPT_IN_REASONS = {
+    tx: 'not enabled (set TX2100=1 or list it in FEATURES)'
+};
+
+/**
+ * Names of the features to enable
+ * FEATURES is a comma-separated list of built-in names or paths to custom modules.
+ * Without it, the default set is used, plus tx when TX2100=1.
+ */
+function getEnabledFeatureNames() {
+    if (process.env.FEATURES) {
+        return process.env.FEATURES.split(',').map(name => name.trim()).filter(Boolean);
+    }
+    const names = [...DEFAULT_FEATURES];
+    if (process.env.TX2100 === '1') {
+        names.push('tx');
+    }
+    return names;
+}
+
+function requireFeature(name) {
+    if (BUILTIN_FEATURES[name]) {
+        return require(BUILTIN_FEATURES[name]);
+    }
+    // Anything else is treated as a path to a custom feature module
+    return require(path.resolve(name));
+}
+
+/**
+ * First required package of a feature that cannot be loaded, with the error
+ * @returns {string|null}
+ */
+function findUnloadablePackage(feature) {
+    for (const name of feature.requiredPackages || []) {
+        try {
+            require(name);
+        } catch (error) {
+            return `could not load the ${name} package (${error.message.split('\n')[0]})`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Load feature modules, skipping any with missing or invalid settings or packages
+ * @param {Array<string>} names - Feature names or module paths
+ * @param {Object} [config] - Result of loadConfig(), used to reject invalid settings
+ * @returns {{ enabled: Array<Object>, disabled: Array<{name: string, reason: string}> }}
+ */
+function loadFeatures(names, config) {
+    const enabled = [];
+    const disabled = [];
+
+    for (const name of names) {
+        let feature;
+        try {
+            feature = requireFeature(name);
+        } catch (error) {
+            logger.error(`❌ Could not load feature "${name}":`, error.message);
+            disabled.push({ name, reason: `could not load module (${error.message.split('\n')[0]})` });
+            continue;
+        }
+
+        const missing = (feature.requiredSettings || []).filter(key => !isSettingUsable(config, key));
+        if (missing.length > 0) {
+            disabled.push({ name: feature.name, reason: `missing or invalid settings: ${missing.join(', ')}` });
+            continue;
+        }
+
+        const unloadable = findUnloadablePackage(feature);
+        if (unloadable) {
+            logger.warn(`⚠️ Skipping feature ${feature.name}: ${unloadable}`);
+            disabled.push({ name: feature.name, reason: unloadable });
+            continue;
+        }
+
+        enabled.push(feature);
+    }
+
+    // Built-in features that were not requested are reported as off
+    for (const name of Object.keys(BUILTIN_FEATURES)) {
+        if (!names.includes(name)) {
+            disabled.push({ name, reason: OPT_IN_REASONS[name] || 'not listed in FEATURES' });
+        }
+    }
+
+    return { enabled, disabled };
+}
+
+/**
+ * Run init then start for every feature
+ * A feature whose init or start fails is dropped; the others keep running.
+ * @returns {Promise<Array<Object>>} Features that started
+ */
+async function startFeatures(features, context) {
+    const initialized = [];
+    for (const feature of features) {
+        try {
+            logger.info(`🚀 Initializing feature ${feature.name}...`);
+            await feature.init(context);
+            initialized.push(feature);
+        } catch (error) {
+            logger.error(`❌ Failed to initialize feature ${feature.name}:`, error.message);
+        }
+    }
+
+    const started = [];
+    for (const feature of initialized) {
+        try {
+            feature.start(context);
+            started.push(feature);
+        } catch (error) {
+            logger.error(`❌ Failed to start feature ${feature.name}:`, error.message);
+        }
+    }
+    return started;
+}
+
+/**
+ * Run every feature's stop hook in parallel
+ */
+async function stopFeatures(features, context) {
+    await Promise.all(features.map(async (feature) => {
+        try {
+            await feature.stop(context);
+        } catch (error) {
+            logger.error(`❌ Error stopping feature ${feature.name}:`, error);
+        }
+    }));
+}
+
+module.exports = {
+    BUILTIN_FEATURES,
+    getEnabledFeatureNames,
+    loadFeatures,
+    startFeatures,
+    stopFeatures
+};
@@ -0,0 +1,27 @@
+/**
+ * NFT Feature
+ * Tracks Citadel Invitation mints of every CONTRACT_ADDRESS and posts the
+ * scheduled summary with a per-collection breakdown, plus
+ * one post per new mint to channels routed for the mint feed when MINT_FEED=1
+ */
+
+const { initializeNFTTracker, trackNFT } = require('../nft.js');
+
+module.exports = {
+    name: 'nft',
+    requiredSettings: ['RPC_URL', 'CONTRACT_ADDRESS'],
+
+    async init() {
+        await initializeNFTTracker();
+    },
+
+    start({ client, scheduler }) {
+        scheduler.register({
+            name: 'nft',
+            schedule: process.env.CRON_SCHEDULE_NFT || process.env.CRON_SCHEDULE_MSG || '*/5 * * * *',
+            run: () => trackNFT(client)
+        });
+    },
+
+    async stop() {}
+};
@@ -0,0 +1,23 @@
+/**
+ * Spin Feature
+ * Posts the Satoshi Spin leaderboard on a schedule
+ */
+
+const { postSatoshiSpin } = require('../spin.js');
+
+module.exports = {
+    name: 'spin',
+    requiredSettings: [],
+
+    async init() {},
+
+    start({ client, scheduler }) {
+        scheduler.register({
+            name: 'spin',
+            schedule: process.env.CRON_SCHEDULE_SPIN || process.env.CRON_SCHEDULE_MSG || '*/5 * * * *',
+            run: () => postSatoshiSpin(client)
+        });
+    },
+
+    async stop() {}
+};
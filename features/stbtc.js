@@ -0,0 +1,50 @@
+/**
+ * STBTC Feature
+ * Renames the stBTC counter channels and posts the stBTC report
+ * to channels routed for it
+ */
+
+const { getCounterEngine } = require('../counters.js');
+const { getStbtcStats } = require('../stbtc_counters.js');
+const { createStbtcStatsMessage } = require('../messageConstructor');
+const { publishToRoutes } = require('../channelRouter.js');
+const { createLogger } = require('../logger.js');
+const logger = createLogger('features/stbtc');
+
+module.exports = {
+    name: 'stbtc',
+    requiredSettings: [],
+
+    async init(context) {
+        // Shared with the counters feature and the /stbtc command
+        await getCounterEngine(context).loadState();
+    },
+
+    start(context) {
+        const { scheduler, counterEngine } = context;
+        const schedule = process.env.CRON_SCHEDULE_STBTC || process.env.CRON_SCHEDULE_COUNTER;
+        if (!schedule) {
+            logger.info(`ℹ️ STBTC job not scheduled, CRON_SCHEDULE_COUNTER not set.`);
+        }
+        scheduler.register({
+            name: 'stbtc',
+            schedule,
+            runOnStart: !!schedule,
+            run: () => counterEngine.updateAll('stbtc')
+        });
+
+        const reportSchedule = process.env.CRON_SCHEDULE_STBTC_REPORT;
+        if (reportSchedule) {
+            scheduler.register({
+                name: 'stbtc-report',
+                schedule: reportSchedule,
+                run: async () => {
+                    const stats = await getStbtcStats(counterEngine);
+                    return publishToRoutes(context.client, 'stbtc', createStbtcStatsMessage(stats));
+                }
+            });
+        }
+    },
+
+    async stop() {}
+};
@@ -0,0 +1,38 @@
+/**
+ * Transaction Tracker Feature
+ * Scans every block for transactions to/from ADDRESS1 and appends them to CSV
+ */
+
+const {
+    initializeTransactionTracker,
+    runScheduledTransactionUpdate,
+    stopTransactionTracking
+} = require('../2100Tx.js');
+const { createLogger } = require('../logger.js');
+const logger = createLogger('features/txTracker');
+
+module.exports = {
+    name: 'tx',
+    requiredSettings: ['RPC_URL', 'ADDRESS1'],
+
+    async init() {
+        // Loads progress; the initial catch-up scan carries on in the background
+        await initializeTransactionTracker();
+    },
+
+    start({ scheduler }) {
+        const schedule = process.env.CRON_SCHEDULE_BLOCKCHAIN;
+        if (!schedule) {
+            logger.warn(`⚠️ CRON_SCHEDULE_BLOCKCHAIN not set, only the initial scan runs; later blocks are scanned by /refresh tx`);
+        }
+        scheduler.register({
+            name: 'tx',
+            schedule,
+            run: runScheduledTransactionUpdate
+        });
+    },
+
+    async stop() {
+        await stopTransactionTracking();
+    }
+};
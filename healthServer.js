@@ -0,0 +1,173 @@
+/**
+ * Health Server Module
+ * Local HTTP endpoint for monitoring, started when HEALTH_PORT is set
+ *
+ *   GET /healthz - JSON summary: 200 while connected to Discord, 503 otherwise.
+ *                  status is "degraded" when a job's last run failed.
+ *   GET /metrics - Prometheus text format: Discord state, jobs, RPC calls,
+ *                  tracker lag, counter values
+ *
+ * Binds to HEALTH_HOST (default 127.0.0.1) so it is not exposed by accident.
+ */
+
+const http = require('http');
+const { renderMetrics } = require('./metrics.js');
+const { getThrottledChannels } = require('./renameQueue.js');
+const { getTrackerState } = require('./2100Tx.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('healthServer');
+
+const DEFAULT_HOST = '127.0.0.1';
+const FAILED_STATUSES = ['error', 'timeout'];
+
+const startedAt = new Date();
+let server = null;
+
+function toSeconds(date) {
+    return date ? date.getTime() / 1000 : null;
+}
+
+function getDiscordState(client) {
+    const connected = client.isReady();
+    return {
+        connected,
+        // WebSocket status code, 0 is READY
+        status: client.ws.status,
+        pingMs: client.ws.ping >= 0 ? client.ws.ping : null
+    };
+}
+
+/**
+ * Body and status code of /healthz
+ */
+function getHealth({ client, scheduler }) {
+    const discord = getDiscordState(client);
+    const jobs = {};
+    for (const job of scheduler.getJobStates()) {
+        jobs[job.name] = {
+            lastStatus: job.lastStatus,
+            lastSuccessAt: job.lastSuccessAt,
+            lastDurationMs: job.lastDurationMs,
+            lastError: job.lastError,
+            running: job.running
+        };
+    }
+
+    let status = 'ok';
+    if (!discord.connected) {
+        status = 'unhealthy';
+    } else if (Object.values(jobs).some(job => FAILED_STATUSES.includes(job.lastStatus))) {
+        status = 'degraded';
+    }
+
+    return {
+        code: discord.connected ? 200 : 503,
+        body: {
+            status,
+            startedAt,
+            uptimeSeconds: Math.round((Date.now() - startedAt.getTime()) / 1000),
+            discord,
+            jobs,
+            tracker: getTrackerState(),
+            throttledRenames: getThrottledChannels().length
+        }
+    };
+}
+
+/**
+ * Gauges read at scrape time
+ */
+function collectGauges({ client, scheduler, counterEngine }) {
+    const discord = getDiscordState(client);
+    const jobs = scheduler.getJobStates();
+    const tracker = getTrackerState();
+    const counters = counterEngine ? Array.from(counterEngine.lastResults.entries()) : [];
+
+    const perJob = (select) => jobs.map(job => ({ labels: { job: job.name }, value: select(job) }));
+    const perCounter = (select) => counters.map(([name, result]) => ({ labels: { counter: name }, value: select(result) }));
+
+    const gauges = [
+        { name: 'bot_up', help: 'Always 1 while the bot process is running', samples: [{ value: 1 }] },
+        { name: 'bot_start_time_seconds', help: 'Unix time the bot started', samples: [{ value: toSeconds(startedAt) }] },
+        { name: 'bot_discord_connected', help: '1 while the Discord client is ready', samples: [{ value: discord.connected ? 1 : 0 }] },
+        { name: 'bot_discord_ws_status', help: 'Discord WebSocket status code (0 = ready)', samples: [{ value: discord.status }] },
+        { name: 'bot_discord_ws_ping_seconds', help: 'Discord heartbeat latency', samples: [{ value: discord.pingMs !== null ? discord.pingMs / 1000 : null }] },
+        { name: 'bot_job_last_success_timestamp_seconds', help: 'Unix time of the last successful run', samples: perJob(job => toSeconds(job.lastSuccessAt)) },
+        { name: 'bot_job_last_duration_seconds', help: 'Duration of the last run', samples: perJob(job => job.lastDurationMs !== null ? job.lastDurationMs / 1000 : null) },
+        { name: 'bot_job_last_run_failed', help: '1 when the last run failed or timed out', samples: perJob(job => job.lastStatus ? (FAILED_STATUSES.includes(job.lastStatus) ? 1 : 0) : null) },
+        { name: 'bot_job_running', help: '1 while a run is in progress', samples: perJob(job => job.running ? 1 : 0) },
+        { name: 'bot_job_runs_total', help: 'Runs started since the bot started', type: 'counter', samples: perJob(job => job.runCount) },
+        { name: 'bot_throttled_channel_renames', help: 'Channels with a rename waiting for the rate limit', samples: [{ value: getThrottledChannels().length }] },
+        { name: 'bot_counter_value', help: 'Latest value of each counter', samples: perCounter(result => result.value) },
+        { name: 'bot_counter_stale', help: '1 when the counter shows its last known good value', samples: perCounter(result => result.stale ? 1 : 0) },
+        { name: 'bot_counter_updated_timestamp_seconds', help: 'Unix time the counter value was fetched', samples: perCounter(result => Date.parse(result.updatedAt) / 1000) }
+    ];
+
+    if (tracker) {
+        gauges.push(
+            { name: 'bot_tracker_last_processed_block', help: 'Last block scanned by the transaction tracker', samples: [{ value: tracker.lastProcessedBlock }] },
+            { name: 'bot_tracker_chain_head_block', help: 'Chain head at the tracker\'s last check', samples: [{ value: tracker.chainHead }] },
+            { name: 'bot_tracker_lag_blocks', help: 'Blocks between the chain head and the last scanned block', samples: [{ value: tracker.lagBlocks }] }
+        );
+    }
+    return gauges;
+}
+
+function handleRequest(context, req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' }).end();
+        return;
+    }
+
+    try {
+        if (pathname === '/healthz') {
+            const { code, body } = getHealth(context);
+            res.writeHead(code, { 'Content-Type': 'application/json' }).end(JSON.stringify(body, null, 2));
+        } else if (pathname === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' })
+                .end(renderMetrics(collectGauges(context)));
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found\n');
+        }
+    } catch (error) {
+        logger.error(`❌ Error serving ${pathname}:`, error);
+        res.writeHead(500, { 'Content-Type': 'text/plain' }).end('Internal error\n');
+    }
+}
+
+/**
+ * Start the server if HEALTH_PORT is set
+ * A port that cannot be bound is logged, the bot keeps running.
+ * @param {Object} context - Shared bot context ({ client, scheduler, counterEngine })
+ */
+function startHealthServer(context) {
+    const port = parseInt(process.env.HEALTH_PORT);
+    if (!port) {
+        return;
+    }
+    const host = process.env.HEALTH_HOST || DEFAULT_HOST;
+
+    server = http.createServer((req, res) => handleRequest(context, req, res));
+    server.on('error', (error) => {
+        logger.error(`❌ Health server error on ${host}:${port}:`, error.message);
+    });
+    server.listen(port, host, () => {
+        logger.info(`🩺 Health server listening on http://${host}:${port} (/healthz, /metrics)`);
+    });
+}
+
+/**
+ * Stop accepting connections (used on shutdown)
+ */
+function stopHealthServer() {
+    if (!server || !server.listening) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+module.exports = {
+    startHealthServer,
+    stopHealthServer
+};
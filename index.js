@@ -1,14 +1,38 @@
 const { Client, GatewayIntentBits } = require('discord.js');
-const cron = require('node-cron');
-const { trackNFT, initializeNFTTracker } = require('./nft.js');
-const { createSatoshiSpinEmbed } = require('./spin.js');
-const { updateCounters } = require('./counters.js');
-const { StbtcCounters } = require('./stbtc_counters.js');
+const { registerCommands, handleInteraction } = require('./commands.js');
+const { scheduler } = require('./scheduler.js');
+const { registerShutdownHandlers } = require('./shutdown.js');
+const { getEnabledFeatureNames, loadFeatures, startFeatures, stopFeatures } = require('./features');
+const { loadConfig, printConfigReport } = require('./config.js');
+const timeSeries = require('./timeSeries.js');
+const { startHealthServer, stopHealthServer } = require('./healthServer.js');
+const { initAlerts, sendStartupAlert, sendShutdownAlert } = require('./alerts.js');
+const { createDryRunClient } = require('./dryRunClient.js');
+const { startNetStandIn, flushFixtures } = require('./netFixtures.js');
+const { flushState } = require('./stateStore.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('index');
 
 require('dotenv').config();
 
+if (process.argv.includes('--dry-run')) {
+    process.env.DRY_RUN = '1';
+}
+
+// Validate configuration before anything connects
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    logger.error(`❌ Failed to load configuration:`, error.message);
+    process.exit(1);
+}
+
+// A dry run renders everything it would post or rename locally (see dryRunClient.js)
+const dryRun = process.env.DRY_RUN === '1';
+
 // Create Discord client
-const client = new Client({
+const client = dryRun ? createDryRunClient() : new Client({
     intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
@@ -16,117 +40,120 @@ const client = new Client({
     ]
 });
 
-// Initialize STBTC counters
-let stbtcCounters;
+// Shared with feature hooks and slash commands
+const context = { client, scheduler, config };
+const featureState = loadFeatures(getEnabledFeatureNames(), config);
+let features = featureState.enabled;
+printConfigReport(config, featureState);
 
-// Bot ready event
-client.once('ready', async () => {
-    console.log(`[${new Date().toISOString()}] INFO: ✅ ${client.user.tag} is online!`);
-    
-    // Initialize NFT tracker
-    await initializeNFTTracker();
-    
-    // Initialize STBTC counters
-    stbtcCounters = new StbtcCounters(client);
-    stbtcCounters.start();
-    console.log(`[${new Date().toISOString()}] INFO: 🚀 STBTC counters initialized and started`);
-    
-    // Set up cron job for messages
-    const msgCronSchedule = process.env.CRON_SCHEDULE_MSG || '*/5 * * * *';
-    console.log(`[${new Date().toISOString()}] INFO: 🕒 Setting up message cron job with schedule: ${msgCronSchedule}`);
-    cron.schedule(msgCronSchedule, async () => {
-        // Send scheduled Discord message for NFT Invitations
-        try {
-            console.log(`[${new Date().toISOString()}] INFO: 🔍 Running scheduled NFT check...`);
-            await trackNFT(client);
-        } catch (error) {
-            console.error(`[${new Date().toISOString()}] ERROR: ❌ Error during scheduled NFT check:`, error);
-        }
+if (config.invalidKeys.has('DISCORD_TOKEN')) {
+    process.exit(1);
+}
+
+// Monitoring endpoint, up before login so it can report the connection
+if (!dryRun) {
+    startHealthServer(context);
+}
+
+/**
+ * Run every registered job once, then shut down
+ * DRY_RUN_JOBS limits the run to some jobs. Saved state is read but not
+ * written, so the live bot carries on exactly where it was.
+ */
+async function runDryRun() {
+    const only = (process.env.DRY_RUN_JOBS || '').split(',').map(name => name.trim()).filter(Boolean);
+    for (const name of only.filter(name => !scheduler.hasJob(name))) {
+        logger.warn(`⚠️ DRY_RUN_JOBS: no job named ${name}`);
+    }
+
+    const names = scheduler.getJobStates()
+        .map(job => job.name)
+        .filter(name => only.length === 0 || only.includes(name));
+    logger.info(`🧪 Dry run of ${names.length} job(s): ${names.join(', ') || 'none'}`);
 
-        // Send scheduled Discord message for Satoshi Spins
+    let failed = 0;
+    for (const name of names) {
         try {
-            console.log(`[${new Date().toISOString()}] INFO: 🔍 Running scheduled Spin check...`);
-            const spinEmbed = await createSatoshiSpinEmbed();
-            const channelId = process.env.DISCORD_CHANNEL_ID;
-            if (channelId) {
-                const channel = client.channels.cache.get(channelId);
-                if (channel) {
-                    await channel.send(spinEmbed);
-                    console.log(`[${new Date().toISOString()}] INFO: 📤 Satoshi Spin message sent to channel ${channel.name}`);
-                } else {
-                    console.warn(`[${new Date().toISOString()}] WARN: ⚠️ Could not find channel with ID: ${channelId}`);
-                }
-            } else {
-                // Fallback to first available channel if no ID is set
-                let sent = false;
-                for (const guild of client.guilds.cache.values()) {
-                    const channel = guild.channels.cache.find(ch => 
-                        ch.type === 0 && // Text channel
-                        ch.permissionsFor(guild.members.me)?.has(['SendMessages', 'EmbedLinks'])
-                    );
-                    if (channel) {
-                        await channel.send(spinEmbed);
-                        console.log(`[${new Date().toISOString()}] INFO: 📤 Satoshi Spin message sent to channel ${channel.name} in guild ${guild.name}`);
-                        sent = true;
-                        break; // Send to only one channel
-                    }
-                }
-                if (!sent) {
-                    console.warn(`[${new Date().toISOString()}] WARN: ⚠️ No suitable channels found to send spin notifications`);
-                }
-            }
+            await scheduler.runJob(name, { manual: true });
         } catch (error) {
-            console.error(`[${new Date().toISOString()}] ERROR: ❌ Error during scheduled Spin check:`, error);
+            // Already logged by the scheduler
+            failed++;
         }
+    }
+
+    logger.info(`🧪 Dry run finished, ${names.length - failed} of ${names.length} job(s) succeeded`);
+    await shutdown('DRY_RUN');
+}
+
+// Bot ready event
+client.once('ready', async () => {
+    logger.info(`✅ ${client.user.tag} is online!`);
+
+    // Failing jobs and data sources are reported to the alerts route
+    initAlerts(client, scheduler);
+
+    // Initialize features, then let them register their jobs
+    const requested = features;
+    features = await startFeatures(features, context);
+    const failed = requested
+        .filter(feature => !features.includes(feature))
+        .map(feature => ({ name: feature.name, reason: 'init failed' }));
+    sendStartupAlert(features, [...failed, ...featureState.disabled]);
+
+    // Downsample the time series store; reporting tools only read it
+    scheduler.register({
+        name: 'timeseries',
+        schedule: process.env.CRON_SCHEDULE_TIMESERIES || '30 0 * * *',
+        run: timeSeries.compactAll
     });
 
-    // Set up cron job for counters (existing counters)
-    const counterCronSchedule = process.env.CRON_SCHEDULE_COUNTER;
-    if (counterCronSchedule) {
-        console.log(`[${new Date().toISOString()}] INFO: 🕒 Setting up counter cron job with schedule: ${counterCronSchedule}`);
-        cron.schedule(counterCronSchedule, async () => {
-            try {
-                console.log(`[${new Date().toISOString()}] INFO: 🔄 Running scheduled counter update...`);
-                await updateCounters(client);
-            } catch (error) {
-                console.error(`[${new Date().toISOString()}] ERROR: ❌ Error during scheduled counter update:`, error);
-            }
-        });
-    } else {
-        console.log(`[${new Date().toISOString()}] INFO: ℹ️ Counter cron job not scheduled, CRON_SCHEDULE_COUNTER not set.`);
+    if (dryRun) {
+        await runDryRun();
+        return;
     }
+
+    // Register slash commands
+    await registerCommands(client);
+
+    await scheduler.start();
+});
+
+// Slash commands
+client.on('interactionCreate', (interaction) => {
+    handleInteraction(interaction, context);
 });
 
 // Error handling
 client.on('error', (error) => {
-    console.error(`[${new Date().toISOString()}] ERROR: ❌ Discord client error:`, error);
+    logger.error(`❌ Discord client error:`, error);
 });
 
 process.on('unhandledRejection', (error) => {
-    console.error(`[${new Date().toISOString()}] ERROR: ❌ Unhandled promise rejection:`, error);
+    logger.error(`❌ Unhandled promise rejection:`, error);
 });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
-    console.log(`[${new Date().toISOString()}] INFO: 🔄 Gracefully shutting down...`);
-    if (stbtcCounters) {
-        stbtcCounters.stop();
-    }
-    client.destroy();
-    process.exit(0);
+const shutdown = registerShutdownHandlers(client, {
+    stopHooks: [() => stopFeatures(features, context), stopHealthServer, sendShutdownAlert],
+    // Points, fixtures and state recorded by jobs and stop hooks still running are written too
+    afterDrainHooks: [timeSeries.flush, flushFixtures, flushState]
 });
 
-process.on('SIGTERM', () => {
-    console.log(`[${new Date().toISOString()}] INFO: 🔄 Gracefully shutting down...`);
-    if (stbtcCounters) {
-        stbtcCounters.stop();
+// Record/replay stand-in for RPC and HTTP calls (NET_MODE), then login to Discord
+async function connect() {
+    try {
+        await startNetStandIn();
+    } catch (error) {
+        logger.error(`❌ Failed to start the network stand-in:`, error);
+        process.exit(1);
     }
-    client.destroy();
-    process.exit(0);
-});
 
-// Login to Discord
-client.login(process.env.DISCORD_TOKEN).catch((error) => {
-    console.error(`[${new Date().toISOString()}] ERROR: ❌ Failed to login to Discord:`, error);
-    process.exit(1);
-});
\ No newline at end of file
+    try {
+        await client.login(process.env.DISCORD_TOKEN);
+    } catch (error) {
+        logger.error(`❌ Failed to login to Discord:`, error);
+        process.exit(1);
+    }
+}
+
+connect();
\ No newline at end of file
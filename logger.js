@@ -0,0 +1,209 @@
+/**
+ * Logger Module
+ * Shared leveled logger for every module
+ *
+ *   const logger = createLogger('nft');
+ *   logger.info('💎 Found 3 new mints');
+ *   logger.child({ contract, blocks: '100-200' }).warn('⚠️ Retrying', error);
+ *
+ * Settings:
+ *   LOG_LEVEL            - debug, info (default), warn or error
+ *   LOG_LEVELS           - Per module overrides, e.g. "nft=debug,renameQueue=warn"
+ *   LOG_FORMAT           - Console output: text (default) or json (one object per line)
+ *   LOG_FILE             - Also write to this file
+ *   LOG_FILE_FORMAT      - json (default) or text
+ *   LOG_FILE_MAX_SIZE_MB - Rotate the file at this size (default 10, 0 = never)
+ *   LOG_FILE_ROTATE      - daily (default) or none: also rotate when the UTC day changes
+ *   LOG_FILE_MAX_FILES   - Rotated files to keep as LOG_FILE.1 (newest) ... (default 5)
+ *
+ * Context fields come from child() and from withLogContext(), which the
+ * scheduler uses so that every line a job logs carries its job name.
+ */
+
+const fs = require('fs');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = 'info';
+const DEFAULT_MAX_SIZE_MB = 10;
+const DEFAULT_MAX_FILES = 5;
+
+const contextStorage = new AsyncLocalStorage();
+
+// Settings are read on first use, after dotenv and loadConfig() have filled process.env
+let settings = null;
+let file = null;
+
+function getSettings() {
+    if (!settings) {
+        const env = process.env;
+        const moduleLevels = {};
+        for (const entry of (env.LOG_LEVELS || '').split(',')) {
+            const [name, level] = entry.split('=').map(item => item && item.trim());
+            if (name && LEVELS[level]) moduleLevels[name] = level;
+        }
+        settings = {
+            level: LEVELS[env.LOG_LEVEL] ? env.LOG_LEVEL : DEFAULT_LEVEL,
+            moduleLevels,
+            format: env.LOG_FORMAT === 'json' ? 'json' : 'text',
+            file: env.LOG_FILE || null,
+            fileFormat: env.LOG_FILE_FORMAT === 'text' ? 'text' : 'json',
+            maxBytes: parseFloat(env.LOG_FILE_MAX_SIZE_MB || DEFAULT_MAX_SIZE_MB) * 1024 * 1024,
+            rotateDaily: env.LOG_FILE_ROTATE !== 'none',
+            maxFiles: parseInt(env.LOG_FILE_MAX_FILES || DEFAULT_MAX_FILES)
+        };
+    }
+    return settings;
+}
+
+function isEnabled(module, level) {
+    const { level: defaultLevel, moduleLevels } = getSettings();
+    return LEVELS[level] >= LEVELS[moduleLevels[module] || defaultLevel];
+}
+
+function formatDetail(detail) {
+    return typeof detail === 'string' ? detail : util.inspect(detail, { depth: 4, breakLength: Infinity });
+}
+
+function formatText(entry) {
+    const { time, level, module, msg, error, ...fields } = entry;
+    const context = Object.entries(fields).map(([key, value]) => `${key}=${value}`).join(' ');
+    let line = `[${time}] ${level.toUpperCase()}: [${module}] ${msg}${context ? ` (${context})` : ''}`;
+    if (error) {
+        line += `\n${error.stack || error.message}`;
+    }
+    return line;
+}
+
+function formatJson(entry) {
+    return JSON.stringify(entry);
+}
+
+/**
+ * Move LOG_FILE to LOG_FILE.1, LOG_FILE.1 to LOG_FILE.2 ... dropping the oldest
+ */
+function rotateFile(current) {
+    const { file: filename, maxFiles } = getSettings();
+    fs.closeSync(current.fd);
+    try {
+        fs.rmSync(`${filename}.${maxFiles}`, { force: true });
+        for (let index = maxFiles - 1; index >= 1; index--) {
+            if (fs.existsSync(`${filename}.${index}`)) {
+                fs.renameSync(`${filename}.${index}`, `${filename}.${index + 1}`);
+            }
+        }
+        fs.renameSync(filename, `${filename}.1`);
+    } catch (error) {
+        process.stderr.write(`[${new Date().toISOString()}] ERROR: ❌ Could not rotate ${filename}: ${error.message}\n`);
+    }
+    return openFile();
+}
+
+function openFile() {
+    const { file: filename } = getSettings();
+    const fd = fs.openSync(filename, 'a');
+    const stats = fs.fstatSync(fd);
+    return { fd, size: stats.size, day: (stats.size > 0 ? stats.mtime : new Date()).toISOString().slice(0, 10) };
+}
+
+function writeToFile(line, time) {
+    const { maxBytes, rotateDaily } = getSettings();
+    try {
+        if (!file) file = openFile();
+
+        const day = time.slice(0, 10);
+        if ((maxBytes > 0 && file.size > 0 && file.size + line.length > maxBytes)
+            || (rotateDaily && file.size > 0 && day !== file.day)) {
+            file = rotateFile(file);
+        }
+        file.day = day;
+
+        const buffer = Buffer.from(`${line}\n`, 'utf8');
+        fs.writeSync(file.fd, buffer);
+        file.size += buffer.length;
+    } catch (error) {
+        // Never let logging take the bot down
+        process.stderr.write(`[${new Date().toISOString()}] ERROR: ❌ Could not write to ${getSettings().file}: ${error.message}\n`);
+        file = null;
+    }
+}
+
+function write(module, level, fields, message, details) {
+    if (!isEnabled(module, level)) return;
+
+    let error = null;
+    const parts = [message];
+    for (const detail of details) {
+        if (detail instanceof Error && !error) {
+            error = detail;
+        } else {
+            parts.push(formatDetail(detail));
+        }
+    }
+
+    const time = new Date().toISOString();
+    const entry = {
+        time,
+        level,
+        module,
+        msg: parts.join(' '),
+        ...contextStorage.getStore(),
+        ...fields
+    };
+    if (error) {
+        entry.error = { message: error.message, stack: error.stack };
+    }
+
+    const { format, file: filename, fileFormat } = getSettings();
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${format === 'json' ? formatJson(entry) : formatText(entry)}\n`);
+
+    if (filename) {
+        writeToFile(fileFormat === 'json' ? formatJson(entry) : formatText(entry), time);
+    }
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} module - Module name, used by LOG_LEVELS and shown on every line
+ * @param {Object} [fields] - Context fields added to every line
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function, isDebugEnabled: Function}}
+ *   Level methods take a message and details; an Error detail is logged with
+ *   its stack, other details are appended to the message
+ */
+function createLogger(module, fields = {}) {
+    const logger = {
+        child: (extra) => createLogger(module, { ...fields, ...extra }),
+        isDebugEnabled: () => isEnabled(module, 'debug')
+    };
+    for (const level of Object.keys(LEVELS)) {
+        logger[level] = (message, ...details) => write(module, level, fields, message, details);
+    }
+    return logger;
+}
+
+/**
+ * Change a module's level at runtime, e.g. for a script's own --debug switch
+ */
+function setLogLevel(module, level) {
+    if (!LEVELS[level]) {
+        throw new Error(`Unknown log level "${level}"`);
+    }
+    getSettings().moduleLevels[module] = level;
+}
+
+/**
+ * Run a function with context fields added to everything it logs, including
+ * from async work it starts
+ */
+function withLogContext(fields, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+module.exports = {
+    LEVELS,
+    createLogger,
+    setLogLevel,
+    withLogContext
+};
@@ -3,36 +3,259 @@
  * Handles creating Discord messages for NFT mint notifications
  */
 
+const path = require('path');
+const { formatNumber } = require('./template.js');
+
+// Shown when the latest token's image is unknown
+const DEFAULT_MINT_THUMBNAIL = "https://media.discordapp.net/attachments/1317881540176248904/1388171834075123772/ezgif-6817638b410628_copy.png";
+
 /**
  * Create a scheduled message with total mints count, date/time, and user login
  * @param {number} totalMints - The total number of mints (based on token ID)
  * @param {number} mints24h - The number of mints in the last 24 hours
+ * @param {string} [thumbnailUrl] - Image of the latest token (see nftMetadata.js)
+ * @param {Array<Object>} [breakdown] - { name, symbol, total, last24h } per contract, shown when there are several
  * @returns {Object} Discord message object with embed
  */
 
 
-function createScheduledMintMessage(totalMints, mints24h) {
+function createScheduledMintMessage(totalMints, mints24h, thumbnailUrl = null, breakdown = []) {
     // Get current date and time in UTC
     const now = new Date();
     const utcDateTime = now.toISOString().replace('T', ' ').substring(0, 19);
+
+    const fields = [
+        { name: '\u200B', value: '\u200B', inline: false },
+        { name: 'Last 24 hours:', value: `**${mints24h}**`, inline: true },
+        { name: 'Total mints:', value: `**${totalMints}**`, inline: true },
+    ];
+    if (breakdown.length > 0) {
+        fields.push({ name: '\u200B', value: '**By collection**', inline: false });
+        for (const contract of breakdown) {
+            fields.push({
+                name: contract.symbol ? `${contract.name} (${contract.symbol})` : contract.name,
+                value: `Total: **${contract.total}**\nLast 24h: **${contract.last24h}**`,
+                inline: true
+            });
+        }
+    }
     
     return {
         embeds: [{
             title: "Citadel Invitations",
             color: 0xFFD700, // Gold color
             thumbnail: {
-                url: "https://media.discordapp.net/attachments/1317881540176248904/1388171834075123772/ezgif-6817638b410628_copy.png"
+                url: thumbnailUrl || DEFAULT_MINT_THUMBNAIL
             },
             description: `**Number of NFTs minted**\n\n`,
+            fields
+        }]
+    };
+}
+
+/**
+ * Create an STBTC statistics message
+ * @param {Object} stats - Values returned by getStbtcStats()
+ * @returns {Object} Discord message object with embed
+ */
+function createStbtcStatsMessage(stats) {
+    const show = (value) => value === null || value === undefined ? 'N/A' : `**${value}**`;
+    const capLabel = stats.stbtcCap ? `Cap usage (of ${stats.stbtcCap}):` : 'Cap usage:';
+
+    return {
+        embeds: [{
+            title: "stBTC",
+            color: 0xFFD700, // Gold color
             fields: [
+                { name: 'Total staked:', value: show(stats.tokenQuantity), inline: true },
+                { name: 'Holders:', value: show(stats.holders), inline: true },
                 { name: '\u200B', value: '\u200B', inline: false },
-                { name: 'Last 24 hours:', value: `**${mints24h}**`, inline: true },
-                { name: 'Total mints:', value: `**${totalMints}**`, inline: true },
+                { name: 'Exchange rate:', value: show(stats.exchangeRate), inline: true },
+                { name: 'Yield APR:', value: show(stats.yieldApr), inline: true },
+                { name: capLabel, value: show(stats.capPercentage), inline: true },
             ]
         }]
     };
 }
 
+/**
+ * Create a transaction tracker statistics message
+ * @param {Object} stats - Values returned by TransactionTracker.getStatistics()
+ * @returns {Object} Discord message object with embed
+ */
+function createTransactionStatsMessage(stats) {
+    return {
+        embeds: [{
+            title: "2100 Transactions",
+            color: 0xFFD700, // Gold color
+            description: stats.address ? `\`${stats.address}\`` : undefined,
+            fields: [
+                { name: 'Transactions:', value: `**${stats.totalTransactions}**`, inline: true },
+                { name: 'Successful:', value: `**${stats.successfulTransactions ?? 0}**`, inline: true },
+                { name: 'Total value:', value: `**${stats.totalValue ?? '0'}**`, inline: false },
+                { name: 'Last processed block:', value: `**${stats.lastProcessedBlock}**`, inline: true },
+                { name: 'Start block:', value: `**${stats.startBlock}**`, inline: true },
+                { name: 'Initial scan:', value: stats.initialScanCompleted ? 'completed' : 'in progress', inline: true },
+            ]
+        }]
+    };
+}
+
+/**
+ * Create a job status message for admins
+ * @param {Array<Object>} jobStates - States returned by getJobStates()
+ * @param {Array<Object>} [throttledChannels] - Queued renames from getThrottledChannels()
+ * @returns {Object} Discord message object with embed
+ */
+function createJobStatusMessage(jobStates, throttledChannels = []) {
+    const toDiscordTime = (date) => date ? `<t:${Math.floor(new Date(date).getTime() / 1000)}:R>` : 'never';
+
+    const fields = jobStates.map(job => {
+        const lines = [
+            `Last run: ${toDiscordTime(job.lastRunAt)}${job.running ? ' (running)' : ''}`,
+            `Duration: ${job.lastDurationMs !== null ? `${(job.lastDurationMs / 1000).toFixed(1)}s` : 'N/A'}`,
+            `Last success: ${toDiscordTime(job.lastSuccessAt)}`
+        ];
+        if (job.lastError) {
+            lines.push(`Last error ${toDiscordTime(job.lastErrorAt)}: \`${job.lastError.substring(0, 200)}\``);
+        }
+        return { name: job.name, value: lines.join('\n'), inline: false };
+    });
+
+    if (throttledChannels.length > 0) {
+        fields.push({
+            name: 'Throttled channel renames',
+            value: throttledChannels
+                .map(entry => `<#${entry.channelId}> → \`${entry.pendingName}\` since ${toDiscordTime(entry.throttledSince)}, retry in ${entry.retryInSeconds}s`)
+                .join('\n'),
+            inline: false
+        });
+    }
+
+    return {
+        embeds: [{
+            title: "Job status",
+            color: 0x00FF00, // Green color
+            description: fields.length === 0 ? 'No jobs have run yet' : undefined,
+            fields
+        }]
+    };
+}
+
+/**
+ * Create the daily counter history message
+ * @param {Array<Object>} entries - { label, current, change7d, change30d, decimals, imageName } per counter
+ * @returns {Object} Discord message object with one embed per counter; images attached by the caller
+ */
+function createCounterHistoryMessage(entries) {
+    const showChange = (change, decimals) => {
+        if (change === null || change === undefined) return 'N/A';
+        return formatNumber(change, decimals !== undefined ? ['signed', `fixed${decimals}`] : ['signed']);
+    };
+
+    return {
+        embeds: entries.map(entry => ({
+            title: entry.label,
+            color: 0xFFD700, // Gold color
+            fields: [
+                { name: 'Current:', value: `**${entry.current}**`, inline: true },
+                { name: '7 days:', value: `**${showChange(entry.change7d, entry.decimals)}**`, inline: true },
+                { name: '30 days:', value: `**${showChange(entry.change30d, entry.decimals)}**`, inline: true }
+            ],
+            image: { url: `attachment://${entry.imageName}` }
+        }))
+    };
+}
+
+/**
+ * Image of a token for an embed: the cached file as an attachment, else the remote URL
+ * @returns {{url: string, files: Array<Object>}|null}
+ */
+function getTokenImage(metadata) {
+    if (!metadata) return null;
+    if (metadata.imageFile) {
+        const name = `token-${metadata.tokenId}${path.extname(metadata.imageFile)}`;
+        return { url: `attachment://${name}`, files: [{ attachment: metadata.imageFile, name }] };
+    }
+    return metadata.imageUrl ? { url: metadata.imageUrl, files: [] } : null;
+}
+
+/**
+ * Create a mint feed message: one embed for a single mint, a list for several
+ * @param {Array<Object>} mints - { tokenId, txHash, to, blockNumber, timestamp, contractName }, oldest first
+ * @param {string} explorerUrl - Block explorer base URL, e.g. https://botanixscan.io
+ * @param {Object} [metadata] - Metadata of the latest mint (see nftMetadata.js), for its image and traits
+ * @returns {Object} Discord message object with embed
+ */
+function createMintFeedMessage(mints, explorerUrl, metadata = null) {
+    const MAX_LISTED = 20;
+    const MAX_TRAITS = 10;
+    const MAX_DESCRIPTION_LENGTH = 4096;
+    // Room for the "earlier mint(s) not listed" line
+    const NOTE_LENGTH = 40;
+    const shorten = (address) => `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+    const minterLink = (address) => `[\`${shorten(address)}\`](${explorerUrl}/address/${address})`;
+    const image = getTokenImage(metadata);
+
+    if (mints.length === 1) {
+        const mint = mints[0];
+        const embed = {
+            title: `New mint: ${mint.contractName} #${mint.tokenId}`,
+            url: `${explorerUrl}/tx/${mint.txHash}`,
+            color: 0xFFD700, // Gold color
+            fields: [
+                { name: 'Token ID:', value: `**${mint.tokenId}**`, inline: true },
+                { name: 'Minter:', value: minterLink(mint.to), inline: true },
+                { name: 'Contract:', value: mint.contractName, inline: true },
+                { name: 'Block:', value: `${mint.blockNumber}`, inline: true },
+                { name: 'Time:', value: `<t:${mint.timestamp}:f>`, inline: true },
+            ],
+            timestamp: new Date(mint.timestamp * 1000).toISOString()
+        };
+
+        if (metadata && metadata.name) {
+            embed.description = `**${metadata.name}**`;
+        }
+        if (metadata && metadata.attributes.length > 0) {
+            const traits = metadata.attributes.slice(0, MAX_TRAITS).map(({ trait, value }) => `${trait}: **${value}**`);
+            if (metadata.attributes.length > MAX_TRAITS) {
+                traits.push(`_+${metadata.attributes.length - MAX_TRAITS} more_`);
+            }
+            embed.fields.push({ name: 'Traits:', value: traits.join('\n'), inline: false });
+        }
+        if (image) {
+            embed.image = { url: image.url };
+        }
+        return image && image.files.length > 0 ? { embeds: [embed], files: image.files } : { embeds: [embed] };
+    }
+
+    // Newest first, as many as fit in Discord's description limit with room left for the note
+    const lines = [];
+    let length = 0;
+    for (let i = mints.length - 1; i >= 0 && lines.length < MAX_LISTED; i--) {
+        const mint = mints[i];
+        const line = `**${mint.contractName} #${mint.tokenId}** → ${minterLink(mint.to)} · [block ${mint.blockNumber}](${explorerUrl}/tx/${mint.txHash}) · <t:${mint.timestamp}:R>`;
+        if (length + line.length + 1 + (i > 0 ? NOTE_LENGTH : 0) > MAX_DESCRIPTION_LENGTH) break;
+        lines.unshift(line);
+        length += line.length + 1;
+    }
+    if (lines.length < mints.length) {
+        lines.unshift(`_${mints.length - lines.length} earlier mint(s) not listed_`);
+    }
+
+    const embed = {
+        title: `${mints.length} new mints`,
+        color: 0xFFD700, // Gold color
+        description: lines.join('\n'),
+        timestamp: new Date(mints[mints.length - 1].timestamp * 1000).toISOString()
+    };
+    // The latest mint's image
+    if (image) {
+        embed.thumbnail = { url: image.url };
+    }
+    return image && image.files.length > 0 ? { embeds: [embed], files: image.files } : { embeds: [embed] };
+}
+
 /**
  * Create a mint event log message (for console logging)
  * @param {Object} mintData - Mint transaction data
@@ -94,6 +317,11 @@ function createStatusNotification(statusMessage) {
 
 module.exports = {
     createScheduledMintMessage,
+    createStbtcStatsMessage,
+    createTransactionStatsMessage,
+    createJobStatusMessage,
+    createCounterHistoryMessage,
+    createMintFeedMessage,
     createMintEventLog,
     createCustomNotification,
     createErrorNotification,
@@ -0,0 +1,132 @@
+/**
+ * Metrics Module
+ * Counters and histograms that modules update as things happen, and the
+ * Prometheus text format used by /metrics (see healthServer.js)
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const families = new Map();
+
+function getLabelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+function getSeries(family, labels, create) {
+    const key = getLabelKey(labels);
+    if (!family.series.has(key)) {
+        family.series.set(key, { labels: { ...labels }, ...create() });
+    }
+    return family.series.get(key);
+}
+
+/**
+ * A counter that only goes up
+ * @returns {{inc: Function}} inc(labels, amount = 1)
+ */
+function defineCounter(name, help) {
+    const family = { name, help, type: 'counter', series: new Map() };
+    families.set(name, family);
+    return {
+        inc(labels = {}, amount = 1) {
+            getSeries(family, labels, () => ({ value: 0 })).value += amount;
+        }
+    };
+}
+
+/**
+ * A histogram of observed values, e.g. durations in seconds
+ * @returns {{observe: Function}} observe(labels, value)
+ */
+function defineHistogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const family = { name, help, type: 'histogram', buckets, series: new Map() };
+    families.set(name, family);
+    return {
+        observe(labels, value) {
+            const series = getSeries(family, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+            buckets.forEach((bound, index) => {
+                if (value <= bound) series.counts[index]++;
+            });
+            series.sum += value;
+            series.count++;
+        }
+    };
+}
+
+/**
+ * Render one metric family in the Prometheus text format
+ * @param {Object} family - { name, help, type, samples: [{ labels, value }] } for gauges,
+ *   or a family created by defineCounter / defineHistogram
+ */
+function formatFamily(family) {
+    const lines = [`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`];
+
+    if (family.type === 'histogram') {
+        for (const series of family.series.values()) {
+            family.buckets.forEach((bound, index) => {
+                lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+            });
+            lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${family.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${family.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+    } else {
+        const samples = family.samples || Array.from(family.series.values());
+        for (const sample of samples) {
+            if (sample.value === null || sample.value === undefined || Number.isNaN(sample.value)) continue;
+            lines.push(`${family.name}${formatLabels(sample.labels || {})} ${formatValue(sample.value)}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Everything recorded so far plus gauges computed at scrape time
+ * @param {Array<Object>} [gauges] - { name, help, samples: [{ labels, value }] }
+ * @returns {string}
+ */
+function renderMetrics(gauges = []) {
+    const rendered = [
+        ...gauges.map(gauge => formatFamily({ type: 'gauge', ...gauge })),
+        ...Array.from(families.values()).map(formatFamily)
+    ];
+    return `${rendered.join('\n')}\n`;
+}
+
+// RPC calls made by the transaction tracker
+const rpcRequests = defineCounter('bot_rpc_requests_total', 'JSON-RPC requests by method and result (every attempt, retries included)');
+const rpcDuration = defineHistogram('bot_rpc_request_duration_seconds', 'JSON-RPC request latency by method');
+
+/**
+ * Record one JSON-RPC attempt
+ * @param {string} method - e.g. eth_blockNumber
+ * @param {number} durationMs
+ * @param {boolean} ok - false when the request failed or returned an RPC error
+ */
+function observeRpcCall(method, durationMs, ok) {
+    rpcRequests.inc({ method, result: ok ? 'ok' : 'error' });
+    rpcDuration.observe({ method }, durationMs / 1000);
+}
+
+module.exports = {
+    defineCounter,
+    defineHistogram,
+    renderMetrics,
+    observeRpcCall
+};
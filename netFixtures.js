@@ -0,0 +1,313 @@
+/**
+ * Network Fixtures Module
+ * Record and replay of every JSON-RPC and HTTP call, for offline runs
+ *
+ *   NET_MODE=record - Calls go through a local stand-in server that forwards
+ *                     them upstream and saves each response to FIXTURE_DIR
+ *   NET_MODE=replay - The stand-in server answers from FIXTURE_DIR only;
+ *                     nothing leaves the machine
+ *   unset or live   - Calls go straight upstream, as before
+ *
+ * Modules pass every outbound URL through resolveNetUrl(), which points it at
+ * the stand-in server in record and replay mode. This covers makeRpcCall,
+ * the ethers providers, node-fetch and axios alike.
+ *
+ * JSON-RPC calls are stored per method and params (request IDs are ignored and
+ * batches are split), so replay works however ethers batches its calls.
+ * A call made several times, like eth_blockNumber, replays its responses in
+ * the recorded order and then keeps repeating the last one.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('netFixtures');
+
+const STAND_IN_HOST = '127.0.0.1';
+
+// Fixture key -> { file, request, responses, served }
+const fixtures = new Map();
+let server = null;
+let baseUrl = null;
+let pendingSave = Promise.resolve();
+
+function getNetMode() {
+    const mode = (process.env.NET_MODE || 'live').toLowerCase();
+    return mode === 'record' || mode === 'replay' ? mode : 'live';
+}
+
+function getFixtureDirectory() {
+    return process.env.FIXTURE_DIR || 'fixtures';
+}
+
+/**
+ * URL to call instead of the given one
+ * In record and replay mode, https://host/path becomes http://127.0.0.1:<port>/https/host/path.
+ * @param {string} url - Upstream URL
+ * @returns {string}
+ */
+function resolveNetUrl(url) {
+    if (!baseUrl || !url) {
+        return url;
+    }
+    const upstream = new URL(url);
+    return `${baseUrl}/${upstream.protocol.slice(0, -1)}/${upstream.host}${upstream.pathname}${upstream.search}`;
+}
+
+/**
+ * Upstream URL of a request made to the stand-in server
+ */
+function getUpstreamUrl(requestUrl) {
+    const match = requestUrl.match(/^\/(https?)\/([^/?]+)(.*)$/);
+    if (!match) return null;
+    return `${match[1]}://${match[2]}${match[3] || '/'}`;
+}
+
+/**
+ * The JSON-RPC call(s) in a request body, or null for plain HTTP
+ */
+function parseRpcBody(body) {
+    try {
+        const parsed = JSON.parse(body);
+        const calls = Array.isArray(parsed) ? parsed : [parsed];
+        if (calls.length > 0 && calls.every(call => call && call.jsonrpc && call.method)) {
+            return { batch: Array.isArray(parsed), calls };
+        }
+    } catch (error) {
+        // Not JSON, so not JSON-RPC
+    }
+    return null;
+}
+
+function getRpcKey(url, call) {
+    return `rpc ${url} ${call.method} ${JSON.stringify(call.params || [])}`;
+}
+
+function getHttpKey(method, url, body) {
+    return `${method} ${url}${body ? ` ${body}` : ''}`;
+}
+
+/**
+ * Readable file name: host, method and a hash of the full key
+ */
+function getFixtureFilename(key, url, label) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+    const name = `${new URL(url).host}-${label}`.replace(/[^A-Za-z0-9_.-]+/g, '_').slice(0, 80);
+    return path.join(getFixtureDirectory(), `${name}-${hash}.json`);
+}
+
+async function loadFixtures() {
+    let files = [];
+    try {
+        files = (await fs.readdir(getFixtureDirectory())).filter(file => file.endsWith('.json'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const file of files) {
+        const filename = path.join(getFixtureDirectory(), file);
+        try {
+            const { key, request, responses } = JSON.parse(await fs.readFile(filename, 'utf8'));
+            fixtures.set(key, { file: filename, request, responses, served: 0 });
+        } catch (error) {
+            logger.warn(`⚠️ Skipping unreadable fixture ${filename}:`, error.message);
+        }
+    }
+    logger.info(`📼 Loaded ${fixtures.size} fixture(s) from ${getFixtureDirectory()}`);
+}
+
+/**
+ * Next recorded response for a key, or null
+ */
+function takeResponse(key) {
+    const fixture = fixtures.get(key);
+    if (!fixture || fixture.responses.length === 0) {
+        return null;
+    }
+    const response = fixture.responses[Math.min(fixture.served, fixture.responses.length - 1)];
+    fixture.served++;
+    return response;
+}
+
+/**
+ * Add a response to a fixture and save it
+ * The first response recorded in a run replaces what the file held before.
+ */
+function recordResponse(key, filename, request, response) {
+    let fixture = fixtures.get(key);
+    if (!fixture) {
+        fixture = { file: filename, request, responses: [], served: 0 };
+        fixtures.set(key, fixture);
+    }
+    fixture.responses.push(response);
+
+    const data = JSON.stringify({ key, request, responses: fixture.responses }, null, 2);
+    pendingSave = pendingSave.then(async () => {
+        try {
+            await fs.mkdir(getFixtureDirectory(), { recursive: true });
+            await fs.writeFile(fixture.file, data, 'utf8');
+        } catch (error) {
+            logger.error(`❌ Error saving fixture ${fixture.file}:`, error);
+        }
+    });
+}
+
+/**
+ * Forward a request upstream
+ * @returns {Promise<{status: number, contentType: string, body: string}>}
+ */
+function forward(method, url, headers, body) {
+    const upstream = new URL(url);
+    const transport = upstream.protocol === 'https:' ? https : http;
+    const outgoingHeaders = { ...headers, host: upstream.host, 'accept-encoding': 'identity' };
+    delete outgoingHeaders.connection;
+    delete outgoingHeaders['content-length'];
+
+    return new Promise((resolve, reject) => {
+        const request = transport.request(upstream, { method, headers: outgoingHeaders, timeout: 30000 }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                contentType: response.headers['content-type'] || 'application/octet-stream',
+                body: Buffer.concat(chunks).toString('utf8')
+            }));
+            response.on('error', reject);
+        });
+        request.on('timeout', () => request.destroy(new Error(`Upstream ${url} timed out`)));
+        request.on('error', reject);
+        request.end(body || undefined);
+    });
+}
+
+/**
+ * Forward JSON-RPC call(s) and record each result on its own
+ */
+async function recordRpc(url, headers, body, calls) {
+    const upstream = await forward('POST', url, headers, body);
+    let items = [];
+    try {
+        const parsed = JSON.parse(upstream.body);
+        items = Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+        logger.warn(`⚠️ Not recording ${url}, response is not JSON (HTTP ${upstream.status})`);
+    }
+
+    for (const call of calls) {
+        const item = items.find(candidate => candidate && JSON.stringify(candidate.id) === JSON.stringify(call.id));
+        if (!item) continue;
+        const key = getRpcKey(url, call);
+        recordResponse(key, getFixtureFilename(key, url, call.method),
+            { url, method: call.method, params: call.params || [] },
+            item.error !== undefined ? { error: item.error } : { result: item.result });
+    }
+    return upstream;
+}
+
+/**
+ * Answer JSON-RPC call(s) from fixtures, with the caller's request IDs
+ */
+function replayRpc(url, { batch, calls }) {
+    const replies = calls.map((call) => {
+        const response = takeResponse(getRpcKey(url, call));
+        if (!response) {
+            logger.warn(`⚠️ No fixture for ${call.method} ${JSON.stringify(call.params || [])} on ${url}`);
+            return { jsonrpc: '2.0', id: call.id, error: { code: -32000, message: `No fixture for ${call.method}` } };
+        }
+        return { jsonrpc: '2.0', id: call.id, ...response };
+    });
+    return { status: 200, contentType: 'application/json', body: JSON.stringify(batch ? replies : replies[0]) };
+}
+
+/**
+ * Forward a plain HTTP request and record the response
+ */
+async function recordHttp(method, url, headers, body) {
+    const upstream = await forward(method, url, headers, body);
+    const key = getHttpKey(method, url, body);
+    recordResponse(key, getFixtureFilename(key, url, new URL(url).pathname), { url, method, body: body || null }, upstream);
+    return upstream;
+}
+
+/**
+ * Answer a plain HTTP request from fixtures
+ */
+function replayHttp(method, url, body) {
+    const response = takeResponse(getHttpKey(method, url, body));
+    if (!response) {
+        logger.warn(`⚠️ No fixture for ${method} ${url}`);
+        return { status: 404, contentType: 'text/plain', body: `No fixture for ${method} ${url}\n` };
+    }
+    return response;
+}
+
+function handleRequest(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+        const mode = getNetMode();
+        const url = getUpstreamUrl(req.url);
+        if (!url) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Expected /<protocol>/<host>/<path>\n');
+            return;
+        }
+
+        const body = Buffer.concat(chunks).toString('utf8');
+        try {
+            const rpc = req.method === 'POST' ? parseRpcBody(body) : null;
+            let response;
+            if (mode === 'record') {
+                response = rpc
+                    ? await recordRpc(url, req.headers, body, rpc.calls)
+                    : await recordHttp(req.method, url, req.headers, body);
+            } else {
+                response = rpc ? replayRpc(url, rpc) : replayHttp(req.method, url, body);
+            }
+            res.writeHead(response.status, { 'Content-Type': response.contentType }).end(response.body);
+        } catch (error) {
+            logger.error(`❌ ${req.method} ${url} failed:`, error.message);
+            res.writeHead(502, { 'Content-Type': 'text/plain' }).end(`${error.message}\n`);
+        }
+    });
+}
+
+/**
+ * Start the stand-in server when NET_MODE is record or replay
+ * Must finish before anything creates a provider or makes a call.
+ */
+async function startNetStandIn() {
+    const mode = getNetMode();
+    if (mode === 'live' || server) {
+        return;
+    }
+
+    if (mode === 'replay') {
+        await loadFixtures();
+    }
+
+    server = http.createServer(handleRequest);
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, STAND_IN_HOST, resolve);
+    });
+    baseUrl = `http://${STAND_IN_HOST}:${server.address().port}`;
+    logger.info(`📼 Network ${mode} mode, stand-in server on ${baseUrl} (fixtures in ${getFixtureDirectory()})`);
+}
+
+/**
+ * Wait for recorded fixtures to be saved (used on shutdown, after the scheduler drain)
+ * The server itself stays up so jobs still draining can finish their calls.
+ */
+function flushFixtures() {
+    return pendingSave;
+}
+
+module.exports = {
+    getNetMode,
+    resolveNetUrl,
+    startNetStandIn,
+    flushFixtures
+};
@@ -1,5 +1,14 @@
 const ethers = require('ethers');
-const { createScheduledMintMessage } = require('./messageConstructor');
+const { createScheduledMintMessage, createMintFeedMessage, createMintEventLog } = require('./messageConstructor');
+const { publishToRoutes } = require('./channelRouter.js');
+const { getValidatedValue, markStale } = require('./valueCache.js');
+const timeSeries = require('./timeSeries.js');
+const { resolveNetUrl } = require('./netFixtures.js');
+const { getTokenMetadata } = require('./nftMetadata.js');
+const { getState, saveState } = require('./stateStore.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('nft');
+
 require('dotenv').config();
 
 // Enhanced ERC-721 ABI with events for better tracking
@@ -22,11 +31,38 @@ let contracts = [];
 let lastKnownTokenIds = [];
 let lastProcessedTxHashes = [];
 
-// Single references for backward compatibility
-let provider = null;
-let contract = null;
-let lastKnownTokenId = 0;
-let lastProcessedTxHash = null;
+// Per contract address, kept in the "nft" namespace of the state store:
+// the latest mint (tokenId, txHash, blockNumber), the last block scanned
+// (scannedBlock), the most recent mints (recent, oldest first) and the block
+// timestamps of every mint in the last 24 hours (dayMints, oldest first)
+let cursors = {};
+
+// Forward scan in progress, shared by every caller
+let scanning = null;
+
+// Mint feed posts that failed in a row; after MAX_FEED_FAILURES the pending mints are dropped
+let feedFailures = 0;
+const MAX_FEED_FAILURES = 5;
+
+// Block number -> timestamp, kept across cycles (all contracts are on the same chain)
+const blockTimestamps = new Map();
+const BLOCK_TIMESTAMP_CACHE_LIMIT = 10000;
+
+// First block of the last 24h window found, where the next search starts
+let dayStartBlock = 0;
+
+const DEFAULT_EXPLORER_URL = 'https://botanixscan.io';
+
+// Posted mints kept per contract in the rolling window; mints not posted yet are always kept
+const RECENT_MINTS_LIMIT = 100;
+// Blocks scanned per contract per cycle; after a long downtime the cursor catches up over several cycles
+const MAX_SCAN_BLOCKS = 20000;
+const SCAN_BATCH_BLOCKS = 1000;
+const MIN_SCAN_BATCH_BLOCKS = 100;
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Contract address -> { name, symbol }, fetched once
+const contractDetails = new Map();
 
 function getContractAddresses() {
     return (process.env.CONTRACT_ADDRESS || '').split(',').map(addr => addr.trim()).filter(Boolean);
@@ -39,238 +75,38 @@ function createProvider(rpcUrl) {
     try {
         // Try ethers v6 first
         if (ethers.JsonRpcProvider) {
-            console.log(`[${new Date().toISOString()}] INFO: 📡 Using ethers v6 JsonRpcProvider`);
+            logger.info(`📡 Using ethers v6 JsonRpcProvider`);
             return new ethers.JsonRpcProvider(rpcUrl);
         }
         // Fallback to ethers v5
         else if (ethers.providers && ethers.providers.JsonRpcProvider) {
-            console.log(`[${new Date().toISOString()}] INFO: 📡 Using ethers v5 JsonRpcProvider`);
+            logger.info(`📡 Using ethers v5 JsonRpcProvider`);
             return new ethers.providers.JsonRpcProvider(rpcUrl);
         }
         // Last resort - try getDefaultProvider
         else {
-            console.log(`[${new Date().toISOString()}] INFO: 📡 Using ethers getDefaultProvider`);
+            logger.info(`📡 Using ethers getDefaultProvider`);
             return ethers.getDefaultProvider(rpcUrl);
         }
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: ❌ Error creating provider:`, error);
+        logger.error(`❌ Error creating provider:`, error);
         throw error;
     }
 }
 
 /**
- * Scan recent blocks until a mint transaction is found
- */
-async function scanForMintTransaction(maxBlocksToScan = 10000) {
-    try {
-        // Use the first provider and contract
-        const currentProvider = providers[0] || provider;
-        const currentContract = contracts[0] || contract;
-        
-        if (!currentProvider) {
-            throw new Error('Provider not initialized');
-        }
-        if (!currentContract) {
-            throw new Error('Contract not initialized');
-        }
-
-        const currentBlock = await currentProvider.getBlockNumber();
-        console.log(`[${new Date().toISOString()}] INFO: 🔍 Starting scan from current block ${currentBlock}...`);
-        
-        let blocksScanned = 0;
-        let batchSize = 1000; // Scan in batches to avoid RPC limits
-        let foundMint = null;
-        
-        while (blocksScanned < maxBlocksToScan && !foundMint) {
-            const fromBlock = Math.max(0, currentBlock - blocksScanned - batchSize);
-            const toBlock = currentBlock - blocksScanned;
-            
-            if (fromBlock >= toBlock) {
-                console.log(`[${new Date().toISOString()}] INFO: 📊 Reached genesis block, no more blocks to scan`);
-                break;
-            }
-            
-            console.log(`[${new Date().toISOString()}] INFO: 🔍 Scanning blocks ${fromBlock} to ${toBlock} (batch ${Math.floor(blocksScanned / batchSize) + 1})...`);
-            
-            try {
-                // Get mint events (Transfer from zero address)
-                const zeroAddress = (ethers.constants && ethers.constants.AddressZero) || ethers.ZeroAddress || '0x0000000000000000000000000000000000000000';
-                const filter = currentContract.filters.Transfer(zeroAddress, null);
-                const events = await currentContract.queryFilter(filter, fromBlock, toBlock);
-                
-                if (events.length > 0) {
-                    console.log(`[${new Date().toISOString()}] INFO: ✅ Found ${events.length} mint transaction(s) in blocks ${fromBlock}-${toBlock}`);
-                    
-                    // Sort events by block number and transaction index to get the latest
-                    events.sort((a, b) => {
-                        if (a.blockNumber !== b.blockNumber) {
-                            return b.blockNumber - a.blockNumber; // Latest block first
-                        }
-                        return b.transactionIndex - a.transactionIndex; // Latest tx in block first
-                    });
-                    
-                    const latestEvent = events[0];
-                    const tokenId = parseInt(latestEvent.args.tokenId.toString());
-                    const txHash = latestEvent.transactionHash;
-                    const blockNumber = latestEvent.blockNumber;
-                    
-                    // Get transaction and block details
-                    const [tx, block] = await Promise.all([
-                        currentProvider.getTransaction(txHash),
-                        currentProvider.getBlock(blockNumber)
-                    ]);
-                    
-                    foundMint = {
-                        tokenId,
-                        txHash,
-                        blockNumber,
-                        timestamp: block.timestamp,
-                        to: latestEvent.args.to,
-                        gasUsed: tx.gasLimit ? tx.gasLimit.toString() : 'Unknown',
-                        gasPrice: tx.gasPrice ? (ethers.utils ? ethers.utils.formatUnits(tx.gasPrice, 'gwei') : tx.gasPrice.toString()) : 'Unknown',
-                        totalEventsFound: events.length,
-                        blocksScannedToFind: blocksScanned + (currentBlock - blockNumber)
-                    };
-                    
-                    console.log(`[${new Date().toISOString()}] INFO: 🎯 Latest mint found: Token ID ${tokenId} in tx ${txHash}`);
-                    console.log(`[${new Date().toISOString()}] INFO: 📊 Scanned ${foundMint.blocksScannedToFind} blocks to find mint`);
-                    break;
-                }
-                
-                console.log(`[${new Date().toISOString()}] INFO: 📊 No mints found in blocks ${fromBlock}-${toBlock}, continuing scan...`);
-                
-            } catch (error) {
-                console.warn(`[${new Date().toISOString()}] WARN: ⚠️ Error scanning blocks ${fromBlock}-${toBlock}:`, error.message);
-                // Continue with smaller batch if RPC error
-                if (batchSize > 100) {
-                    batchSize = Math.floor(batchSize / 2);
-                    console.log(`[${new Date().toISOString()}] INFO: 🔧 Reducing batch size to ${batchSize} blocks`);
-                    continue;
-                }
-            }
-            
-            blocksScanned += batchSize;
-        }
-        
-        if (!foundMint) {
-            console.log(`[${new Date().toISOString()}] INFO: 📊 No mint transactions found after scanning ${blocksScanned} blocks`);
-        }
-        
-        return foundMint;
-        
-    } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: ❌ Error scanning for mint transaction:`, error);
-        return null;
-    }
-}
-
-/**
- * Get the latest minting transaction by scanning until found
- */
-async function getLatestMintTransaction() {
-    try {
-        console.log(`[${new Date().toISOString()}] INFO: 🔍 Scanning for latest mint transaction...`);
-        
-        // First try a quick scan of recent blocks
-        const quickScan = await scanForMintTransaction(2000);
-        if (quickScan) {
-            return quickScan;
-        }
-        
-        // If no mint found in recent blocks, do a deeper scan
-        console.log(`[${new Date().toISOString()}] INFO: 🔍 No recent mints found, performing deeper scan...`);
-        const deepScan = await scanForMintTransaction(20000);
-        
-        return deepScan;
-        
-    } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: ❌ Error getting latest mint transaction:`, error);
-        return null;
-    }
-}
-
-/**
- * Get multiple recent mint transactions by scanning until found
+ * Get multiple recent mint transactions across all contracts, latest first
+ * Read from the rolling window after bringing it up to date.
  */
 async function getRecentMintTransactions(limit = 5) {
-    try {
-        console.log(`[${new Date().toISOString()}] INFO: 🔍 Scanning for last ${limit} mint transactions...`);
-        
-        const currentProvider = providers[0] || provider;
-        const currentContract = contracts[0] || contract;
-        
-        if (!currentProvider || !currentContract) {
-            throw new Error('Provider or contract not initialized');
-        }
-
-        const currentBlock = await currentProvider.getBlockNumber();
-        let blocksScanned = 0;
-        let batchSize = 2000;
-        let allMints = [];
-        const maxBlocksToScan = 50000; // Don't scan forever
-        
-        while (blocksScanned < maxBlocksToScan && allMints.length < limit) {
-            const fromBlock = Math.max(0, currentBlock - blocksScanned - batchSize);
-            const toBlock = currentBlock - blocksScanned;
-            
-            if (fromBlock >= toBlock) break;
-            
-            console.log(`[${new Date().toISOString()}] INFO: 🔍 Scanning blocks ${fromBlock} to ${toBlock} for mints (found ${allMints.length}/${limit})...`);
-            
-            try {
-                const zeroAddress = (ethers.constants && ethers.constants.AddressZero) || ethers.ZeroAddress || '0x0000000000000000000000000000000000000000';
-                const filter = currentContract.filters.Transfer(zeroAddress, null);
-                const events = await currentContract.queryFilter(filter, fromBlock, toBlock);
-                
-                if (events.length > 0) {
-                    console.log(`[${new Date().toISOString()}] INFO: ✅ Found ${events.length} mint(s) in blocks ${fromBlock}-${toBlock}`);
-                    
-                    // Process events and get details
-                    for (const event of events) {
-                        if (allMints.length >= limit) break;
-                        
-                        const tokenId = parseInt(event.args.tokenId.toString());
-                        const block = await currentProvider.getBlock(event.blockNumber);
-                        
-                        allMints.push({
-                            tokenId,
-                            txHash: event.transactionHash,
-                            blockNumber: event.blockNumber,
-                            timestamp: block.timestamp,
-                            to: event.args.to
-                        });
-                    }
-                    
-                    // Sort by latest first
-                    allMints.sort((a, b) => {
-                        if (a.blockNumber !== b.blockNumber) {
-                            return b.blockNumber - a.blockNumber;
-                        }
-                        return b.transactionIndex - a.transactionIndex;
-                    });
-                    
-                    // Keep only the requested number
-                    allMints = allMints.slice(0, limit);
-                }
-                
-            } catch (error) {
-                console.warn(`[${new Date().toISOString()}] WARN: ⚠️ Error scanning blocks ${fromBlock}-${toBlock}:`, error.message);
-                if (batchSize > 500) {
-                    batchSize = Math.floor(batchSize / 2);
-                    continue;
-                }
-            }
-            
-            blocksScanned += batchSize;
-        }
-        
-        console.log(`[${new Date().toISOString()}] INFO: ✅ Found ${allMints.length} mint transactions after scanning ${blocksScanned} blocks`);
-        return allMints;
-        
-    } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: ❌ Error getting recent mint transactions:`, error);
-        return [];
+    if (contracts.length === 0) {
+        throw new Error('Contracts not initialized');
     }
+    await updateMints();
+    return getContractAddresses()
+        .flatMap(address => (cursors[address.toLowerCase()].recent || []).map(mint => ({ ...mint, contractAddress: address })))
+        .sort((a, b) => b.blockNumber - a.blockNumber || b.tokenId - a.tokenId)
+        .slice(0, limit);
 }
 
 /**
@@ -289,7 +125,7 @@ async function initializeNFTTracker() {
         lastProcessedTxHashes = [];
         
         for (const address of addresses) {
-            const newProvider = createProvider(process.env.RPC_URL);
+            const newProvider = createProvider(resolveNetUrl(process.env.RPC_URL));
             providers.push(newProvider);
             const newContract = new ethers.Contract(address, ERC721_ABI, newProvider);
             contracts.push(newContract);
@@ -298,334 +134,632 @@ async function initializeNFTTracker() {
             lastProcessedTxHashes.push(null);
         }
         
-        // Set global references for backward compatibility
-        provider = providers[0];
-        contract = contracts[0];
-        lastKnownTokenId = 0;
-        lastProcessedTxHash = null;
-        
-        // Optionally, scan for latest mints for each contract
+        // Resume from the saved cursor; without one, scan back once for the latest mint
+        cursors = await getState('nft');
         for (let i = 0; i < contracts.length; i++) {
-            const latestMint = await getLatestMintTransactionForContract(contracts[i], providers[i]);
-            if (latestMint) {
-                lastKnownTokenIds[i] = latestMint.tokenId;
-                lastProcessedTxHashes[i] = latestMint.txHash;
-                
-                // Update global variables with first contract's data
-                if (i === 0) {
-                    lastKnownTokenId = latestMint.tokenId;
-                    lastProcessedTxHash = latestMint.txHash;
-                }
+            const key = addresses[i].toLowerCase();
+            if (cursors[key]) {
+                logger.info(`💾 Resuming ${addresses[i]} at token ID ${cursors[key].tokenId} (scanned up to block ${cursors[key].scannedBlock !== undefined ? cursors[key].scannedBlock : cursors[key].blockNumber}), no scan needed`);
+            } else {
+                const currentBlock = await providers[i].getBlockNumber();
+                const latestMint = await getLatestMintTransactionForContract(contracts[i], providers[i]);
+                cursors[key] = {
+                    tokenId: latestMint ? latestMint.tokenId : 0,
+                    txHash: latestMint ? latestMint.txHash : null,
+                    blockNumber: latestMint ? latestMint.blockNumber : null,
+                    scannedBlock: currentBlock,
+                    recent: latestMint ? [toRecentMint(latestMint, true)] : [],
+                    updatedAt: new Date().toISOString()
+                };
+                await saveState();
             }
+            lastKnownTokenIds[i] = cursors[key].tokenId;
+            lastProcessedTxHashes[i] = cursors[key].txHash;
         }
         
-        console.log(`[${new Date().toISOString()}] INFO: ✅ Initialized NFT tracker for contracts: ${addresses.join(', ')}`);
-        console.log(`[${new Date().toISOString()}] INFO: ✅ Last known token ID: ${lastKnownTokenId}`);
+        logger.info(`✅ Initialized NFT tracker for contracts: ${addresses.join(', ')}`);
+        logger.info(`✅ Last known token IDs: ${lastKnownTokenIds.join(', ')}`);
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: ❌ Failed to initialize NFT tracker:`, error);
+        logger.error(`❌ Failed to initialize NFT tracker:`, error);
         throw error;
     }
 }
 
 /**
- * Track new NFT mints by checking latest transactions
+ * The live mint feed is on (MINT_FEED=1)
+ */
+function isMintFeedEnabled() {
+    return process.env.MINT_FEED === '1';
+}
+
+/**
+ * name() and symbol() of a contract, falling back to the short address
+ * @returns {Promise<{name: string, symbol: string|null}>}
+ */
+async function getContractDetails(contract, address) {
+    if (!contractDetails.has(address)) {
+        try {
+            const [name, symbol] = await Promise.all([contract.name(), contract.symbol()]);
+            contractDetails.set(address, { name, symbol });
+        } catch (error) {
+            logger.child({ contract: address }).warn(`⚠️ Could not get contract name/symbol:`, error.message);
+            return { name: `${address.substring(0, 6)}...${address.substring(address.length - 4)}`, symbol: null };
+        }
+    }
+    return contractDetails.get(address);
+}
+
+async function getContractName(contract, address) {
+    return (await getContractDetails(contract, address)).name;
+}
+
+/**
+ * Timestamp of a block, from the cache when it was seen before
+ */
+async function getBlockTimestamp(currentProvider, blockNumber) {
+    if (!blockTimestamps.has(blockNumber)) {
+        const block = await currentProvider.getBlock(blockNumber);
+        if (!block) {
+            throw new Error(`Block ${blockNumber} not found`);
+        }
+        blockTimestamps.set(blockNumber, block.timestamp);
+        // Maps keep insertion order, so the first key is the oldest entry
+        if (blockTimestamps.size > BLOCK_TIMESTAMP_CACHE_LIMIT) {
+            blockTimestamps.delete(blockTimestamps.keys().next().value);
+        }
+    }
+    return blockTimestamps.get(blockNumber);
+}
+
+/**
+ * First block at or after a timestamp, by binary search on block timestamps
+ * Searches from the previous result, since the 24h window only moves forward.
+ * @returns {Promise<number>}
+ */
+async function findFirstBlockAfter(currentProvider, timestamp, currentBlock) {
+    if (await getBlockTimestamp(currentProvider, currentBlock) < timestamp) {
+        // No block in the window yet
+        return currentBlock + 1;
+    }
+    let low = Math.min(dayStartBlock, currentBlock);
+    let high = currentBlock;
+    if (await getBlockTimestamp(currentProvider, low) >= timestamp) {
+        // The previous result is already inside the window (or the chain is younger than it)
+        low = 0;
+    }
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (await getBlockTimestamp(currentProvider, middle) >= timestamp) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Block range of the last 24 hours: from the first block at or after now - 24h to the current block
+ * @returns {Promise<{fromBlock: number, toBlock: number}>}
+ */
+async function getLast24hBlockRange() {
+    const currentProvider = providers[0];
+    const dayAgo = Math.floor(Date.now() / 1000) - DAY_SECONDS;
+    const toBlock = await currentProvider.getBlockNumber();
+    dayStartBlock = await findFirstBlockAfter(currentProvider, dayAgo, toBlock);
+    return { fromBlock: dayStartBlock, toBlock };
+}
+
+/**
+ * Window entry for a mint
+ * @param {boolean} posted - Already posted to the mint feed (or the feed is off)
+ */
+function toRecentMint(mint, posted) {
+    return { tokenId: mint.tokenId, txHash: mint.txHash, to: mint.to, blockNumber: mint.blockNumber, timestamp: mint.timestamp, posted };
+}
+
+/**
+ * Trim a rolling window to RECENT_MINTS_LIMIT entries, oldest posted mints first
+ * Mints not posted yet stay until the feed has posted them.
+ */
+function trimRecentMints(recent) {
+    let excess = recent.length - RECENT_MINTS_LIMIT;
+    return recent.filter(mint => {
+        if (excess > 0 && mint.posted) {
+            excess--;
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Mint events of a contract in a block range, in batches
+ * A batch the RPC node rejects is retried in smaller batches.
+ */
+async function queryMintEvents(currentContract, fromBlock, toBlock) {
+    const zeroAddress = (ethers.constants && ethers.constants.AddressZero) || ethers.ZeroAddress || '0x0000000000000000000000000000000000000000';
+    const filter = currentContract.filters.Transfer(zeroAddress, null);
+    const events = [];
+    let batchSize = SCAN_BATCH_BLOCKS;
+    let start = fromBlock;
+
+    while (start <= toBlock) {
+        const end = Math.min(start + batchSize - 1, toBlock);
+        try {
+            events.push(...await currentContract.queryFilter(filter, start, end));
+            start = end + 1;
+        } catch (error) {
+            if (batchSize <= MIN_SCAN_BATCH_BLOCKS) {
+                throw error;
+            }
+            batchSize = Math.max(MIN_SCAN_BATCH_BLOCKS, Math.floor(batchSize / 2));
+            logger.child({ blocks: `${start}-${end}` }).warn(`⚠️ Error scanning blocks, reducing batch size to ${batchSize}:`, error.message);
+        }
+    }
+    return events;
+}
+
+/**
+ * Seed a contract's dayMints with one query over the last 24 hours
+ * Only needed once: from then on the forward scan adds every new mint.
+ * @param {number} toBlock - Last block the cursor has scanned
+ */
+async function backfillDayMints(index, toBlock) {
+    const cursor = cursors[getContractAddresses()[index].toLowerCase()];
+    const range = await getLast24hBlockRange();
+    const lastBlock = Math.min(toBlock, range.toBlock);
+    const events = range.fromBlock <= lastBlock ? await queryMintEvents(contracts[index], range.fromBlock, lastBlock) : [];
+    const timestamps = [];
+    for (const event of events) {
+        timestamps.push(await getBlockTimestamp(providers[index], event.blockNumber));
+    }
+    cursor.dayMints = timestamps.sort((a, b) => a - b);
+    logger.child({ contract: getContractAddresses()[index] }).info(`🧮 ${timestamps.length} mint(s) in the last 24h (blocks ${range.fromBlock}-${lastBlock})`);
+}
+
+/**
+ * Drop dayMints entries older than 24 hours
+ * @returns {number} Mints left, i.e. the mints of the last 24 hours
+ */
+function pruneDayMints(cursor) {
+    const dayAgo = Math.floor(Date.now() / 1000) - DAY_SECONDS;
+    cursor.dayMints = cursor.dayMints.filter(timestamp => timestamp >= dayAgo);
+    return cursor.dayMints.length;
+}
+
+/**
+ * Scan one contract forward from its cursor to the current block
+ * New mints go into the rolling window and the cursor moves to the last
+ * block scanned, so each block is only ever queried once.
+ * @returns {Promise<Array<Object>>} New mints, oldest first
+ */
+async function scanContract(index) {
+    const address = getContractAddresses()[index];
+    const currentContract = contracts[index];
+    const currentProvider = providers[index];
+    const contractLogger = logger.child({ contract: address });
+    const cursor = cursors[address.toLowerCase()];
+
+    const currentBlock = await currentProvider.getBlockNumber();
+    // Cursors saved before scannedBlock existed rescan the block of their mint
+    const fromBlock = cursor.scannedBlock !== undefined ? cursor.scannedBlock + 1 : cursor.blockNumber;
+    if (!cursor.dayMints) {
+        try {
+            await backfillDayMints(index, fromBlock - 1);
+        } catch (error) {
+            // The blocks scanned meanwhile are covered by the next attempt
+            contractLogger.warn(`⚠️ Could not count the mints of the last 24h, retrying next cycle:`, error.message);
+        }
+    }
+    if (fromBlock > currentBlock) {
+        // A lagging RPC node can report an older head; never move the cursor back
+        return [];
+    }
+    const toBlock = Math.min(currentBlock, fromBlock + MAX_SCAN_BLOCKS - 1);
+    if (toBlock < currentBlock) {
+        contractLogger.warn(`⚠️ ${currentBlock - fromBlock} blocks behind, catching up ${MAX_SCAN_BLOCKS} blocks at a time`);
+    }
+
+    const events = await queryMintEvents(currentContract, fromBlock, toBlock);
+    const mints = [];
+    for (const event of events) {
+        const tokenId = parseInt(event.args.tokenId.toString());
+        if (cursor.scannedBlock === undefined && event.blockNumber === cursor.blockNumber && tokenId <= cursor.tokenId) continue;
+
+        mints.push({
+            tokenId,
+            txHash: event.transactionHash,
+            to: event.args.to,
+            blockNumber: event.blockNumber,
+            timestamp: await getBlockTimestamp(currentProvider, event.blockNumber)
+        });
+    }
+    mints.sort((a, b) => a.blockNumber - b.blockNumber || a.tokenId - b.tokenId);
+    if (cursor.dayMints) {
+        cursor.dayMints.push(...mints.map(mint => mint.timestamp));
+        pruneDayMints(cursor);
+    }
+
+    const posted = !isMintFeedEnabled();
+    cursor.recent = trimRecentMints([...(cursor.recent || []), ...mints.map(mint => toRecentMint(mint, posted))]);
+    const latest = mints[mints.length - 1];
+    if (latest) {
+        contractLogger.info(`🎉 ${mints.length} new mint(s) in blocks ${fromBlock}-${toBlock}, latest token ID ${latest.tokenId} (tx: ${latest.txHash.substring(0, 10)}...)`);
+        Object.assign(cursor, { tokenId: latest.tokenId, txHash: latest.txHash, blockNumber: latest.blockNumber });
+        lastKnownTokenIds[index] = latest.tokenId;
+        lastProcessedTxHashes[index] = latest.txHash;
+    } else {
+        contractLogger.info(`📊 No new mints in blocks ${fromBlock}-${toBlock}. Latest token ID: ${cursor.tokenId}`);
+    }
+    cursor.scannedBlock = toBlock;
+    cursor.updatedAt = new Date().toISOString();
+    return mints;
+}
+
+/**
+ * Bring every contract's cursor up to the current block
+ * Concurrent callers (the nft job, counters) share one scan. A contract whose
+ * scan fails keeps its cursor and is retried next time.
+ * @returns {Promise<number>} Number of new mints
+ */
+function updateMints() {
+    if (!scanning) {
+        scanning = (async () => {
+            let found = 0;
+            for (let i = 0; i < contracts.length; i++) {
+                try {
+                    found += (await scanContract(i)).length;
+                } catch (error) {
+                    logger.child({ contract: getContractAddresses()[i] }).error(`❌ Error scanning for new mints:`, error);
+                }
+            }
+            await saveState();
+            return found;
+        })().finally(() => {
+            scanning = null;
+        });
+    }
+    return scanning;
+}
+
+/**
+ * Post mints not posted yet to the channels routed for the mint feed
+ * One embed for a single mint, one batched embed when several landed.
+ * Mints are only marked as posted once the post went out, so failed posts are
+ * retried; after MAX_FEED_FAILURES failures in a row they are dropped, so a
+ * message Discord keeps rejecting cannot stop the feed.
+ * @returns {Promise<number>} Number of mints posted
+ */
+async function postMintFeed(client) {
+    const addresses = getContractAddresses();
+    const pending = [];
+    for (let i = 0; i < contracts.length; i++) {
+        const contractName = await getContractName(contracts[i], addresses[i]);
+        for (const mint of cursors[addresses[i].toLowerCase()].recent || []) {
+            if (!mint.posted) {
+                pending.push({ mint, feedMint: { ...mint, contractName, contractAddress: addresses[i] } });
+            }
+        }
+    }
+    if (pending.length === 0) {
+        return 0;
+    }
+
+    const mints = pending.map(({ feedMint }) => feedMint)
+        .sort((a, b) => a.timestamp - b.timestamp || a.blockNumber - b.blockNumber);
+    for (const mint of mints) {
+        logger.info(createMintEventLog(mint));
+    }
+
+    const explorerUrl = (process.env.EXPLORER_URL || DEFAULT_EXPLORER_URL).replace(/\/$/, '');
+    // Image and traits of the latest mint
+    const latest = mints[mints.length - 1];
+    const metadata = await getTokenMetadata(contracts[addresses.indexOf(latest.contractAddress)], latest.contractAddress, latest.tokenId);
+    try {
+        await publishToRoutes(client, 'mintfeed', createMintFeedMessage(mints, explorerUrl, metadata));
+        feedFailures = 0;
+    } catch (error) {
+        if (++feedFailures < MAX_FEED_FAILURES) {
+            throw error;
+        }
+        logger.error(`❌ Mint feed failed ${feedFailures} times in a row, dropping ${mints.length} pending mint(s):`, error.message);
+        feedFailures = 0;
+    }
+
+    pending.forEach(({ mint }) => {
+        mint.posted = true;
+    });
+    await saveState();
+    return mints.length;
+}
+
+/**
+ * Track new NFT mints of every contract from their cursors
  */
 async function trackNFT(client) {
     try {
         if (!contracts || contracts.length === 0) {
-            console.error(`[${new Date().toISOString()}] ERROR: ❌ Contracts not initialized`);
+            logger.error(`❌ Contracts not initialized`);
             return;
         }
-        const currentContract = contracts[0];
 
-        console.log(`[${new Date().toISOString()}] INFO: 🔍 Scanning for new mint transactions...`);
-        
-        // Get the latest mint transaction
-        const latestMint = await getLatestMintTransaction();
-        
-        if (!latestMint) {
-            console.log(`[${new Date().toISOString()}] INFO: 📊 No mint transactions found in scan`);
-            // Send scheduled message with current total supply
+        logger.info(`🔍 Scanning for new mint transactions...`);
+        await updateMints();
+
+        if (isMintFeedEnabled()) {
             try {
-                const totalSupply = await currentContract.totalSupply();
-                const totalMints = parseInt(totalSupply.toString());
-                await sendDiscordNotification(client, { tokenId: totalMints });
+                await postMintFeed(client);
             } catch (error) {
-                console.warn(`[${new Date().toISOString()}] WARN: ⚠️ Could not get total supply for scheduled message`);
-                await sendDiscordNotification(client, { tokenId: lastKnownTokenId || 0 });
+                // The summary still goes out; the feed catches up next cycle
+                logger.error(`❌ Error posting the mint feed:`, error);
             }
-            return;
         }
-        
-        // Check if this is a new transaction we haven't processed
-        if (latestMint.txHash === lastProcessedTxHash) {
-            console.log(`[${new Date().toISOString()}] INFO: 📊 No new mints detected. Latest token ID: ${latestMint.tokenId} (tx: ${latestMint.txHash.substring(0, 10)}...)`);
-            // Send scheduled message with current total
-            await sendDiscordNotification(client, { tokenId: latestMint.tokenId });
-            return;
+
+        const tokenIds = [];
+        for (let i = 0; i < contracts.length; i++) {
+            if (lastKnownTokenIds[i]) {
+                tokenIds.push(lastKnownTokenIds[i]);
+                continue;
+            }
+            // No mint seen yet; fall back to the current total supply
+            try {
+                const totalSupply = await contracts[i].totalSupply();
+                tokenIds.push(parseInt(totalSupply.toString()));
+            } catch (error) {
+                logger.child({ contract: getContractAddresses()[i] }).warn(`⚠️ Could not get total supply for scheduled message`);
+                tokenIds.push(0);
+            }
         }
-        
-        // New mint detected!
-        console.log(`[${new Date().toISOString()}] INFO: 🎉 New NFT minted! Token ID: ${latestMint.tokenId}`);
-        console.log(`[${new Date().toISOString()}] INFO: 📋 Transaction: ${latestMint.txHash}`);
-        console.log(`[${new Date().toISOString()}] INFO: 👤 Minted to: ${latestMint.to}`);
-        console.log(`[${new Date().toISOString()}] INFO: 📊 Scanned ${latestMint.blocksScannedToFind} blocks to find this mint`);
-        
-        // Send scheduled message (not new mint notification)
-        await sendDiscordNotification(client, { tokenId: latestMint.tokenId });
 
-        // Update tracking variables
-        lastKnownTokenId = latestMint.tokenId;
-        lastProcessedTxHash = latestMint.txHash;
+        // Send scheduled message (not new mint notification)
+        await sendDiscordNotification(client, tokenIds);
 
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: ❌ Error tracking NFT:`, error);
+        logger.error(`❌ Error tracking NFT:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Validated totals of one contract for the summary
+ * A value that failed with no good value known yet is null, so the other
+ * contracts still show.
+ */
+async function getContractSummary(index, tokenId) {
+    const address = getContractAddresses()[index];
+    const key = address.toLowerCase();
+    const optional = (promise) => promise.catch((error) => {
+        logger.child({ contract: address }).warn(`⚠️ No value to show yet:`, error.message);
+        return null;
+    });
+
+    // Reject a token ID that went backwards (e.g. a 0 from a failed lookup)
+    const total = await optional(getValidatedValue(`mints.latestTokenId.${key}`, async () => tokenId, { monotonic: true, nonZero: true }));
+    // Get the number of mints in the last 24 hours
+    const last24h = await optional(getValidatedValue(`mints.last24h.${key}`, async () => countMints(index)));
+    return { ...await getContractDetails(contracts[index], address), address, total, last24h };
+}
+
+/**
+ * Build the "Citadel Invitations" summary message
+ * @param {Array<number>} tokenIds - Latest token ID per contract, in CONTRACT_ADDRESS order
+ */
+async function createMintSummaryMessage(tokenIds) {
+    const summaries = [];
+    for (let i = 0; i < contracts.length; i++) {
+        summaries.push(await getContractSummary(i, tokenIds[i] || 0));
+    }
+    const display = (result) => result ? markStale(result.value, result) : 'N/A';
+    // Sums are stale as soon as one contract's value is
+    const sum = (results) => ({
+        value: results.reduce((total, result) => total + (result ? result.value : 0), 0),
+        stale: results.some(result => !result || result.stale)
+    });
+
+    const total = sum(summaries.map(summary => summary.total));
+    const mints24h = sum(summaries.map(summary => summary.last24h));
+    if (summaries.every(summary => !summary.total)) {
+        throw new Error('No mint totals available');
+    }
+    // Получаем значение ADD из переменных окружения и прибавляем к сумме
+    const addValue = parseInt(process.env.ADD || '0', 10);
+    if (!isNaN(addValue)) {
+        total.value += addValue;
+    }
+
+    const breakdown = summaries.length > 1
+        ? summaries.map(summary => ({
+            name: summary.name,
+            symbol: summary.symbol,
+            total: display(summary.total),
+            last24h: display(summary.last24h)
+        }))
+        : [];
+
+    // Show the latest token's image; only a remote URL, since status messages may be edited in place
+    const latestIndex = getLatestMintedContractIndex();
+    const latestTokenId = tokenIds[latestIndex];
+    const metadata = latestTokenId > 0
+        ? await getTokenMetadata(contracts[latestIndex], getContractAddresses()[latestIndex], latestTokenId)
+        : null;
+
+    // Compose the message with these numbers
+    return createScheduledMintMessage(display(total), display(mints24h), metadata && metadata.imageUrl, breakdown);
+}
+
+/**
+ * Index of the contract with the most recent mint, per the saved cursors
+ */
+function getLatestMintedContractIndex() {
+    const blocks = getContractAddresses().map(address => {
+        const cursor = cursors[address.toLowerCase()];
+        return cursor && cursor.txHash ? cursor.blockNumber : -1;
+    });
+    return Math.max(0, blocks.indexOf(Math.max(...blocks)));
+}
+
+/**
+ * Build the summary message on demand (used by the /mints command)
+ */
+async function getMintSummaryMessage() {
+    if (!contracts || contracts.length === 0) {
+        throw new Error('Contracts not initialized');
+    }
+
+    const tokenIds = [];
+    for (let i = 0; i < contracts.length; i++) {
+        let tokenId = lastKnownTokenIds[i];
+        if (!tokenId) {
+            const totalSupply = await contracts[i].totalSupply();
+            tokenId = parseInt(totalSupply.toString());
+        }
+        tokenIds.push(tokenId);
     }
+
+    return createMintSummaryMessage(tokenIds);
 }
 
 /**
  * Send Discord notification about scheduled status
+ * @param {Array<number>} tokenIds - Latest token ID per contract
  */
-async function sendDiscordNotification(client, mintData) {
+async function sendDiscordNotification(client, tokenIds) {
     try {
-        let { tokenId } = mintData;
-        // Получаем значение ADD из переменных окружения и прибавляем к tokenId
-        const addValue = parseInt(process.env.ADD || '0', 10);
-        if (!isNaN(addValue)) {
-            tokenId += addValue;
-        }
-        // Get the number of mints in the last 24 hours
-        const mints24h = await getMintsCountLast24h();
-        // Compose the message with this number
-        const message = createScheduledMintMessage(tokenId, mints24h);
+        const message = await createMintSummaryMessage(tokenIds);
 
         // Add logging for message content
-        console.log(`[${new Date().toISOString()}] INFO: 📝 Preparing to send Discord message with content:`, JSON.stringify(message));
+        logger.debug(`📝 Preparing to send Discord message with content:`, JSON.stringify(message));
 
-        // Send to specified channel or all available channels
-        const channelId = process.env.DISCORD_CHANNEL_ID;
-        
-        if (channelId) {
-            const channel = client.channels.cache.get(channelId);
-            if (channel) {
-                console.log(`[${new Date().toISOString()}] INFO: 📝 Attempting to send message to channel: ${channel.name} (${channel.id})`);
-                await channel.send(message);
-                console.log(`[${new Date().toISOString()}] INFO: 📤 Notification sent to channel ${channel.name}`);
-            } else {
-                console.warn(`[${new Date().toISOString()}] WARN: ⚠️ Could not find channel with ID: ${channelId}`);
-            }
-        } else {
-            // Send to the first available text channel in each guild
-            let sentCount = 0;
-            for (const guild of client.guilds.cache.values()) {
-                const channel = guild.channels.cache.find(ch => 
-                    ch.type === 0 && // Text channel
-                    ch.permissionsFor(guild.members.me)?.has(['SendMessages', 'EmbedLinks'])
-                );
-                if (channel) {
-                    console.log(`[${new Date().toISOString()}] INFO: 📝 Attempting to send message to guild: ${guild.name}, channel: ${channel.name} (${channel.id})`);
-                    await channel.send(message);
-                    console.log(`[${new Date().toISOString()}] INFO: 📤 Notification sent to ${guild.name}#${channel.name}`);
-                    sentCount++;
-                }
-            }
-            if (sentCount === 0) {
-                console.warn(`[${new Date().toISOString()}] WARN: ⚠️ No suitable channels found to send notifications`);
-            }
-        }
+        // Send to every channel routed for mint summaries
+        await publishToRoutes(client, 'mints', message);
 
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: ❌ Error sending Discord notification:`, error);
+        logger.error(`❌ Error sending Discord notification:`, error);
     }
 }
 
 /**
- * Get current NFT statistics and recent mints
+ * Get current NFT statistics, one entry per contract
  */
 async function getNFTStats() {
     try {
-        const currentContract = contracts[0] || contract;
-        if (!currentContract) {
+        if (contracts.length === 0) {
             throw new Error('Contract not initialized');
         }
 
-        let contractName = 'Unknown';
-        let contractSymbol = 'Unknown';
-
-        try {
-            contractName = await currentContract.name();
-            contractSymbol = await currentContract.symbol();
-        } catch (error) {
-            console.warn(`[${new Date().toISOString()}] WARN: ⚠️ Could not get contract name/symbol`);
+        const addresses = getContractAddresses();
+        const contractStats = [];
+        for (let i = 0; i < contracts.length; i++) {
+            const { name, symbol } = await getContractDetails(contracts[i], addresses[i]);
+            contractStats.push({
+                contractName: name,
+                contractSymbol: symbol || 'Unknown',
+                contractAddress: addresses[i],
+                lastKnownTokenId: lastKnownTokenIds[i] || 0,
+                lastProcessedTxHash: lastProcessedTxHashes[i] || null
+            });
         }
 
         return {
-            contractName,
-            contractSymbol,
-            contractAddress: process.env.CONTRACT_ADDRESS,
-            lastKnownTokenId: lastKnownTokenId || 0,
-            lastProcessedTxHash: lastProcessedTxHash || null
+            contracts: contractStats,
+            totalKnownTokenIds: contractStats.reduce((total, stats) => total + stats.lastKnownTokenId, 0)
         };
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: ❌ Error getting NFT stats:`, error);
+        logger.error(`❌ Error getting NFT stats:`, error);
         throw error;
     }
 }
 
 /**
- * Manual check for latest mint (useful for testing)
+ * Manual check for the latest mint across all contracts (useful for testing)
  */
 async function checkLatestMint() {
     try {
-        console.log(`[${new Date().toISOString()}] INFO: 🔍 Manual scan for latest mint...`);
-        const latestMint = await getLatestMintTransaction();
+        logger.info(`🔍 Manual scan for latest mint...`);
+        const latestMint = (await getRecentMintTransactions(1))[0] || null;
         
         if (latestMint) {
-            console.log(`[${new Date().toISOString()}] INFO: 🎯 Latest mint: Token ID ${latestMint.tokenId}`);
-            console.log(`[${new Date().toISOString()}] INFO: 📋 Transaction: ${latestMint.txHash}`);
-            console.log(`[${new Date().toISOString()}] INFO: 👤 Minted to: ${latestMint.to}`);
-            console.log(`[${new Date().toISOString()}] INFO: 📦 Block: ${latestMint.blockNumber}`);
-            console.log(`[${new Date().toISOString()}] INFO: 📅 Time: ${new Date(latestMint.timestamp * 1000).toISOString()}`);
-            console.log(`[${new Date().toISOString()}] INFO: 🔍 Blocks scanned: ${latestMint.blocksScannedToFind}`);
+            logger.info(`🎯 Latest mint: Token ID ${latestMint.tokenId} (${latestMint.contractAddress})`);
+            logger.info(`📋 Transaction: ${latestMint.txHash}`);
+            logger.info(`👤 Minted to: ${latestMint.to}`);
+            logger.info(`📦 Block: ${latestMint.blockNumber}`);
+            logger.info(`📅 Time: ${new Date(latestMint.timestamp * 1000).toISOString()}`);
         } else {
-            console.log(`[${new Date().toISOString()}] INFO: 📊 No mints found in scan`);
+            logger.info(`📊 No mints found in scan`);
         }
         
         return latestMint;
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: ❌ Error checking latest mint:`, error);
-        return null;
+        logger.error(`❌ Error checking latest mint:`, error);
+        throw error;
     }
 }
 
 /**
- * Get the number of mints in the last 24 hours
+ * Get the number of mints in the last 24 hours across all contracts
+ * Every mint event in the window is counted, whatever its token ID.
  */
 async function getMintsCountLast24h() {
+    if (contracts.length === 0) {
+        throw new Error('Contracts not initialized for 24h count');
+    }
     try {
-        const currentContract = contracts[0] || contract;
-        const currentProvider = providers[0] || provider;
-        
-        if (!currentContract || !currentProvider) {
-            console.warn(`[${new Date().toISOString()}] WARN: Contract or provider not initialized for 24h count`);
-            return 0;
-        }
-        
-        const now = Math.floor(Date.now() / 1000);
-        const dayAgo = now - 24 * 60 * 60;
-        let blocksScanned = 0;
-        let batchSize = 2000;
-        let firstTokenId = null;
-        let lastTokenId = null;
-        const currentBlock = await currentProvider.getBlockNumber();
-        const maxBlocksToScan = 50000;
-        let foundAny = false;
-        
-        while (blocksScanned < maxBlocksToScan) {
-            const fromBlock = Math.max(0, currentBlock - blocksScanned - batchSize);
-            const toBlock = currentBlock - blocksScanned;
-            if (fromBlock >= toBlock) break;
-            
-            const zeroAddress = (ethers.constants && ethers.constants.AddressZero) || ethers.ZeroAddress || '0x0000000000000000000000000000000000000000';
-            const filter = currentContract.filters.Transfer(zeroAddress, null);
-            const events = await currentContract.queryFilter(filter, fromBlock, toBlock);
-            
-            for (const event of events) {
-                const tokenId = parseInt(event.args.tokenId.toString());
-                const block = await currentProvider.getBlock(event.blockNumber);
-                const ts = block.timestamp;
-                
-                if (ts >= dayAgo && ts <= now) {
-                    if (!foundAny) {
-                        lastTokenId = tokenId;
-                        foundAny = true;
-                    }
-                    firstTokenId = tokenId;
-                }
-            }
-            blocksScanned += batchSize;
+        await updateMints();
+        let sum = 0;
+        for (let i = 0; i < contracts.length; i++) {
+            sum += countMints(i);
         }
-        
-        if (!foundAny) return 0;
-        return Math.abs(lastTokenId - firstTokenId) + 1;
+        return sum;
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: ❌ Error counting mints in last 24h:`, error);
-        return 0;
+        logger.error(`❌ Error counting mints in last 24h:`, error);
+        throw error;
     }
 }
 
-async function getLatestMintedTokenId(contract, provider) {
-    try {
-        // Scan backwards in small batches to find the most recent mint event
-        const zeroAddress = (ethers.constants && ethers.constants.AddressZero) || ethers.ZeroAddress || '0x0000000000000000000000000000000000000000';
-        const filter = contract.filters.Transfer(zeroAddress, null);
-        const currentBlock = await provider.getBlockNumber();
-        const batchSize = 1000;
-        let fromBlock = currentBlock;
-        let toBlock = currentBlock;
-        
-        while (fromBlock > 0) {
-            fromBlock = Math.max(0, toBlock - batchSize + 1);
-            const events = await contract.queryFilter(filter, fromBlock, toBlock);
-            if (events.length > 0) {
-                // Sort events by block number and transaction index descending
-                events.sort((a, b) => {
-                    if (a.blockNumber !== b.blockNumber) return b.blockNumber - a.blockNumber;
-                    return b.transactionIndex - a.transactionIndex;
-                });
-                // The first event is the most recent
-                const latestEvent = events[0];
-                const tokenId = parseInt(latestEvent.args.tokenId.toString());
-                return tokenId;
-            }
-            toBlock = fromBlock - 1;
-        }
-        return 0;
-    } catch (error) {
-        console.warn(`[${new Date().toISOString()}] WARN: Could not get latest minted tokenId for contract ${contract.address}: ${error.message}`);
-        return 0;
+/**
+ * Number of mints of a contract in the last 24 hours, as recorded by the forward scan
+ */
+function countMints(index) {
+    const cursor = cursors[getContractAddresses()[index].toLowerCase()];
+    if (!cursor.dayMints) {
+        throw new Error('Mints of the last 24h not counted yet');
     }
+    return pruneDayMints(cursor);
 }
 
+/**
+ * Total mints across all contracts: the sum of their latest token IDs
+ */
 async function getTotalMints() {
-    try {
-        if (contracts.length === 0) return 0;
-        let sum = 0;
-        for (let i = 0; i < contracts.length; i++) {
-            const tokenId = await getLatestMintedTokenId(contracts[i], providers[i]);
-            sum += tokenId;
-        }
-        return sum;
-    } catch (error) {
-        console.warn(`[${new Date().toISOString()}] WARN: Could not sum total mints across contracts: ${error.message}`);
-        return 0;
+    if (contracts.length === 0) {
+        throw new Error('Contracts not initialized');
     }
+    await updateMints();
+    return lastKnownTokenIds.reduce((sum, tokenId) => sum + tokenId, 0);
 }
 
-async function getLastTokenIdForContract(contract, provider) {
-    try {
-        // Try to get the latest mint transaction for this contract
-        const latestMint = await getLatestMintTransactionForContract(contract, provider);
-        if (latestMint) {
-            return latestMint.tokenId;
-        }
-        // Fallback to totalSupply
-        const totalSupply = await contract.totalSupply();
-        return parseInt(totalSupply.toString());
-    } catch (error) {
-        console.warn(`[${new Date().toISOString()}] WARN: Could not get last tokenId for contract ${contract.address}: ${error.message}`);
-        return 0;
+/**
+ * Total mints across all contracts, validated against the last known good value
+ * Fresh values are recorded in the mints.total time series.
+ * @returns {Promise<{value: number, stale: boolean, updatedAt: string}>}
+ */
+async function getCheckedTotalMints() {
+    const result = await getValidatedValue('mints.total', getTotalMints, { monotonic: true, nonZero: true });
+    if (!result.stale) {
+        await timeSeries.append('mints.total', result.value);
     }
+    return result;
 }
 
 async function getLatestMintTransactionForContract(contract, provider) {
-    // Copy of getLatestMintTransaction, but for a specific contract/provider
+    // A quick scan of recent blocks, then a deeper one
     try {
         const quickScan = await scanForMintTransactionForContract(contract, provider, 2000);
         if (quickScan) return quickScan;
         return await scanForMintTransactionForContract(contract, provider, 20000);
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: Error getting latest mint transaction for contract ${contract.address}:`, error);
+        logger.child({ contract: contract.address }).error(`❌ Error getting latest mint transaction:`, error);
         return null;
     }
 }
@@ -679,7 +813,7 @@ async function scanForMintTransactionForContract(contract, provider, maxBlocksTo
         }
         return foundMint;
     } catch (error) {
-        console.warn(`[${new Date().toISOString()}] WARN: Error scanning for mint transaction for contract ${contract.address}:`, error.message);
+        logger.child({ contract: contract.address }).warn(`⚠️ Error scanning for mint transaction:`, error.message);
         return null;
     }
 }
@@ -688,8 +822,10 @@ module.exports = {
     initializeNFTTracker,
     trackNFT,
     getNFTStats,
+    getMintSummaryMessage,
     checkLatestMint,
     getRecentMintTransactions,
     getMintsCountLast24h,
-    getTotalMints
+    getTotalMints,
+    getCheckedTotalMints
 };
\ No newline at end of file
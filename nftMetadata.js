@@ -0,0 +1,230 @@
+/**
+ * NFT Metadata Module
+ * Resolves tokenURI() to the token's name, image and attributes
+ *
+ * Supported URIs: ipfs:// (through IPFS_GATEWAY), http(s):// and data:
+ * (base64 or URL-encoded JSON). Metadata is cached on disk in
+ * METADATA_CACHE_DIR, for METADATA_CACHE_HOURS (default: forever).
+ * Images are downloaded once into METADATA_CACHE_DIR/images so embeds can
+ * attach them instead of relying on a slow IPFS gateway.
+ */
+
+const fetch = require('node-fetch');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { resolveNetUrl } = require('./netFixtures.js');
+const { writeJsonAtomic } = require('./stateStore.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('nftMetadata');
+
+const DEFAULT_IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
+const FETCH_TIMEOUT_MS = 15000;
+// Discord's attachment limit for servers without boosts
+const MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+};
+
+// Lookups in progress, so concurrent callers share one fetch
+const inFlight = new Map();
+
+function getCacheDirectory() {
+    return process.env.METADATA_CACHE_DIR || 'metadata_cache';
+}
+
+/**
+ * HTTP(S) URL for an ipfs:// URI; other URIs are returned unchanged
+ */
+function toGatewayUrl(uri) {
+    if (!uri.startsWith('ipfs://')) {
+        return uri;
+    }
+    let gateway = process.env.IPFS_GATEWAY || DEFAULT_IPFS_GATEWAY;
+    if (!gateway.endsWith('/')) gateway += '/';
+    // Some collections write ipfs://ipfs/<cid>
+    return `${gateway}${uri.slice('ipfs://'.length).replace(/^ipfs\//, '')}`;
+}
+
+/**
+ * Decode a data: URI
+ * @returns {{mimeType: string, data: Buffer}}
+ */
+function decodeDataUri(uri) {
+    const match = uri.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s);
+    if (!match) {
+        throw new Error('Malformed data: URI');
+    }
+    const isBase64 = match[2].split(';').includes('base64');
+    return {
+        mimeType: match[1] || 'text/plain',
+        data: isBase64 ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]), 'utf8')
+    };
+}
+
+async function fetchBuffer(url) {
+    const response = await fetch(resolveNetUrl(url), { timeout: FETCH_TIMEOUT_MS, size: MAX_IMAGE_BYTES });
+    if (!response.ok) {
+        throw new Error(`${url} returned HTTP ${response.status}`);
+    }
+    return { mimeType: (response.headers.get('content-type') || '').split(';')[0].trim(), data: await response.buffer() };
+}
+
+/**
+ * Raw content behind a token or image URI
+ * @returns {Promise<{mimeType: string, data: Buffer}>}
+ */
+async function loadUri(uri) {
+    if (uri.startsWith('data:')) {
+        return decodeDataUri(uri);
+    }
+    const url = toGatewayUrl(uri);
+    if (!/^https?:\/\//.test(url)) {
+        throw new Error(`Unsupported URI scheme: ${uri.substring(0, 40)}`);
+    }
+    return fetchBuffer(url);
+}
+
+/**
+ * Pick the fields the embeds use out of a metadata document
+ */
+function parseMetadata(json) {
+    const attributes = Array.isArray(json.attributes) ? json.attributes : [];
+    return {
+        name: typeof json.name === 'string' ? json.name : null,
+        description: typeof json.description === 'string' ? json.description : null,
+        image: json.image || json.image_url || json.image_data || null,
+        attributes: attributes
+            .filter(attribute => attribute && attribute.value !== undefined && attribute.value !== null)
+            .map(attribute => ({ trait: String(attribute.trait_type || attribute.key || 'Trait'), value: String(attribute.value) }))
+    };
+}
+
+/**
+ * Download an image into the cache
+ * @returns {Promise<string|null>} Path of the cached file, or null if it cannot be attached
+ */
+async function cacheImage(imageUri) {
+    const hash = crypto.createHash('sha1').update(imageUri).digest('hex');
+    const directory = path.join(getCacheDirectory(), 'images');
+
+    try {
+        const existing = (await fs.readdir(directory)).find(file => file.startsWith(`${hash}.`));
+        if (existing) return path.join(directory, existing);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const { mimeType, data } = await loadUri(imageUri);
+    const extension = IMAGE_EXTENSIONS[mimeType];
+    if (!extension) {
+        // SVG and the like are not shown by Discord
+        logger.debug(`Not caching ${mimeType || 'untyped'} image ${imageUri.substring(0, 80)}`);
+        return null;
+    }
+    if (data.length > MAX_IMAGE_BYTES) {
+        return null;
+    }
+
+    await fs.mkdir(directory, { recursive: true });
+    const filename = path.join(directory, `${hash}.${extension}`);
+    await fs.writeFile(filename, data);
+    return filename;
+}
+
+async function fetchMetadata(contract, address, tokenId) {
+    const tokenUri = await contract.tokenURI(tokenId);
+    const { data } = await loadUri(tokenUri);
+    const metadata = parseMetadata(JSON.parse(data.toString('utf8')));
+
+    let imageFile = null;
+    if (metadata.image) {
+        try {
+            imageFile = await cacheImage(metadata.image);
+        } catch (error) {
+            logger.child({ contract: address }).warn(`⚠️ Could not cache the image of token ${tokenId}:`, error.message);
+        }
+    }
+
+    return {
+        tokenId,
+        tokenUri: tokenUri.startsWith('data:') ? 'data:' : tokenUri,
+        name: metadata.name,
+        description: metadata.description,
+        // Only http(s) URLs can go in an embed
+        imageUrl: metadata.image && /^https?:\/\//.test(toGatewayUrl(metadata.image)) ? toGatewayUrl(metadata.image) : null,
+        imageFile,
+        attributes: metadata.attributes,
+        fetchedAt: new Date().toISOString()
+    };
+}
+
+async function readCached(filename) {
+    try {
+        const cached = JSON.parse(await fs.readFile(filename, 'utf8'));
+        const maxAgeHours = parseFloat(process.env.METADATA_CACHE_HOURS || '0');
+        if (maxAgeHours > 0 && Date.now() - Date.parse(cached.fetchedAt) > maxAgeHours * 60 * 60 * 1000) {
+            return null;
+        }
+        // The image cache may have been cleared on its own
+        if (cached.imageFile) {
+            await fs.access(cached.imageFile).catch(() => { cached.imageFile = null; });
+        }
+        return cached;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`⚠️ Ignoring unreadable metadata cache ${filename}:`, error.message);
+        }
+        return null;
+    }
+}
+
+/**
+ * Metadata of a token, from the disk cache or tokenURI()
+ * Failures are logged and give null, so embeds can go out without metadata.
+ * @param {Contract} contract - ethers contract with tokenURI()
+ * @param {string} address - Contract address, part of the cache key
+ * @param {number} tokenId
+ * @returns {Promise<{name: string|null, imageUrl: string|null, imageFile: string|null,
+ *   attributes: Array<{trait: string, value: string}>}|null>}
+ */
+async function getTokenMetadata(contract, address, tokenId) {
+    const key = `${address.toLowerCase()}-${tokenId}`;
+    if (inFlight.has(key)) {
+        return inFlight.get(key);
+    }
+
+    const lookup = (async () => {
+        const filename = path.join(getCacheDirectory(), `${key}.json`);
+        const cached = await readCached(filename);
+        if (cached) return cached;
+
+        try {
+            const metadata = await fetchMetadata(contract, address, tokenId);
+            await fs.mkdir(getCacheDirectory(), { recursive: true });
+            await writeJsonAtomic(filename, metadata);
+            logger.info(`🖼️ Resolved metadata of token ${tokenId}: ${metadata.name || 'unnamed'}, ${metadata.attributes.length} trait(s)`);
+            return metadata;
+        } catch (error) {
+            logger.child({ contract: address }).warn(`⚠️ Could not resolve metadata of token ${tokenId}:`, error.message);
+            return null;
+        }
+    })();
+
+    inFlight.set(key, lookup);
+    try {
+        return await lookup;
+    } finally {
+        inFlight.delete(key);
+    }
+}
+
+module.exports = {
+    getTokenMetadata,
+    toGatewayUrl,
+    decodeDataUri
+};
@@ -0,0 +1,190 @@
+/**
+ * Channel Rename Queue
+ * Discord allows about two renames per channel every 10 minutes. Renames past
+ * that budget are held back by discord.js until the limit resets, which stalls
+ * the job that asked for them. This queue renames right away while a channel
+ * has budget left, otherwise keeps only the latest requested name and applies
+ * it as soon as the budget frees up. Only renames that went through use up
+ * budget; a deferred rename that fails is retried after RETRY_DELAY_MS.
+ *
+ * Recent rename times are kept in the "renames" namespace of the state store,
+ * so a restart does not forget the budget already spent.
+ */
+
+const { getState: getStoredState, saveState } = require('./stateStore.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('renameQueue');
+
+const DEFAULT_RENAME_LIMIT = 2;
+const DEFAULT_RENAME_WINDOW_SECONDS = 600;
+const RETRY_DELAY_MS = 60 * 1000;
+
+// Per-channel state keyed by channel ID
+const channels = new Map();
+
+// Channel ID -> rename timestamps, as saved in the state store
+let savedRenames = null;
+
+function getRenameLimit() {
+    return parseInt(process.env.RENAME_LIMIT || DEFAULT_RENAME_LIMIT);
+}
+
+function getRenameWindowMs() {
+    return parseInt(process.env.RENAME_WINDOW_SECONDS || DEFAULT_RENAME_WINDOW_SECONDS) * 1000;
+}
+
+function getState(channel) {
+    let state = channels.get(channel.id);
+    if (!state) {
+        state = {
+            channel,
+            renames: (savedRenames && savedRenames[channel.id]) || [],
+            pendingName: null,
+            renaming: false,
+            timer: null,
+            timerDueAt: 0,
+            throttledSince: null
+        };
+        channels.set(channel.id, state);
+    }
+    // Keep the freshest channel object for deferred renames
+    state.channel = channel;
+    return state;
+}
+
+function pruneRenames(state) {
+    const cutoff = Date.now() - getRenameWindowMs();
+    state.renames = state.renames.filter(timestamp => timestamp > cutoff);
+}
+
+/**
+ * Milliseconds until the channel may be renamed again (0 if it can be renamed now)
+ */
+function getWaitMs(state) {
+    pruneRenames(state);
+    if (state.renames.length < getRenameLimit()) return 0;
+    return state.renames[0] + getRenameWindowMs() - Date.now();
+}
+
+async function applyRename(state, name) {
+    state.renaming = true;
+    try {
+        await state.channel.setName(name);
+    } finally {
+        state.renaming = false;
+        // Names requested while this rename was in flight
+        if (state.pendingName !== null) {
+            schedulePending(state);
+        }
+    }
+
+    state.renames.push(Date.now());
+    if (savedRenames) {
+        savedRenames[state.channel.id] = state.renames;
+        saveState();
+    }
+    if (state.throttledSince) {
+        const seconds = Math.round((Date.now() - state.throttledSince) / 1000);
+        logger.info(`✅ Channel ${state.channel.id} no longer throttled, renamed to "${name}" after ${seconds}s`);
+        state.throttledSince = null;
+    }
+}
+
+/**
+ * Apply the pending name once the channel has budget again
+ * @param {number} [minDelayMs] - Wait at least this long, e.g. before a retry
+ */
+function schedulePending(state, minDelayMs = 0) {
+    if (state.timer) return;
+
+    const waitMs = Math.max(getWaitMs(state), minDelayMs);
+    state.timerDueAt = Date.now() + waitMs;
+    state.timer = setTimeout(async () => {
+        state.timer = null;
+        const name = state.pendingName;
+        // A rename in flight schedules the pending name when it ends
+        if (name === null || state.renaming) return;
+
+        if (getWaitMs(state) > 0) {
+            schedulePending(state);
+            return;
+        }
+
+        state.pendingName = null;
+        if (state.channel.name === name) {
+            state.throttledSince = null;
+            return;
+        }
+        try {
+            await applyRename(state, name);
+        } catch (error) {
+            logger.error(`❌ Deferred rename of channel ${state.channel.id} failed, retrying in ${RETRY_DELAY_MS / 1000}s:`, error.message);
+            // Unless a newer name was requested meanwhile
+            if (state.pendingName === null) {
+                state.pendingName = name;
+                state.throttledSince = state.throttledSince || Date.now();
+                schedulePending(state, RETRY_DELAY_MS);
+            }
+        }
+    }, waitMs);
+    // A pending rename must not keep the process alive on shutdown
+    state.timer.unref();
+}
+
+/**
+ * Request a channel rename
+ * @param {GuildChannel} channel - Channel to rename
+ * @param {string} name - New channel name
+ * @returns {Promise<string>} 'unchanged', 'renamed' or 'queued'
+ */
+async function requestRename(channel, name) {
+    if (!savedRenames) {
+        savedRenames = await getStoredState('renames');
+    }
+    const state = getState(channel);
+
+    if (channel.name === name) {
+        // A newer value matching the current name cancels any pending rename
+        state.pendingName = null;
+        state.throttledSince = null;
+        return 'unchanged';
+    }
+
+    const waitMs = getWaitMs(state);
+    if (waitMs === 0 && state.pendingName === null && !state.renaming) {
+        await applyRename(state, name);
+        return 'renamed';
+    }
+
+    // Out of budget or behind a rename in flight: only the latest value is kept
+    state.pendingName = name;
+    if (waitMs > 0) {
+        if (!state.throttledSince) {
+            state.throttledSince = Date.now();
+        }
+        const throttledSeconds = Math.round((Date.now() - state.throttledSince) / 1000);
+        logger.warn(`⏳ Channel ${channel.id} is rate limited (${getRenameLimit()} renames per ${getRenameWindowMs() / 1000}s), "${name}" queued for ${Math.ceil(waitMs / 1000)}s${throttledSeconds > 0 ? `, throttled for ${throttledSeconds}s` : ''}`);
+    }
+    schedulePending(state);
+    return 'queued';
+}
+
+/**
+ * Snapshot of channels with renames held back by the budget or a failed attempt
+ * @returns {Array<{channelId: string, pendingName: string, throttledSince: Date, retryInSeconds: number}>}
+ */
+function getThrottledChannels() {
+    return Array.from(channels.entries())
+        .filter(([, state]) => state.pendingName !== null && state.throttledSince)
+        .map(([channelId, state]) => ({
+            channelId,
+            pendingName: state.pendingName,
+            throttledSince: new Date(state.throttledSince),
+            retryInSeconds: Math.ceil(Math.max(getWaitMs(state), state.timerDueAt - Date.now(), 0) / 1000)
+        }));
+}
+
+module.exports = {
+    requestRename,
+    getThrottledChannels
+};
@@ -0,0 +1,267 @@
+/**
+ * Job Scheduler Module
+ * Runs every background job on its own cron schedule with a timeout,
+ * never lets two runs of the same job overlap, and keeps a run history
+ * in the "jobHistory" namespace of the state store
+ *
+ * Emits 'runFinished' ({ name, status, error, durationMs, consecutiveFailures })
+ * after every run that was not skipped.
+ */
+
+const { EventEmitter } = require('events');
+const cron = require('node-cron');
+const { getState, saveState, flushState } = require('./stateStore.js');
+const { createLogger, withLogContext } = require('./logger.js');
+const logger = createLogger('scheduler');
+
+const DEFAULT_TIMEOUT_SECONDS = 300;
+const HISTORY_LIMIT = 50;
+
+class Scheduler extends EventEmitter {
+    constructor() {
+        super();
+        this.jobs = new Map();
+        this.history = {};
+        this.historyLoading = null;
+        this.pendingSave = Promise.resolve();
+        this.stopped = false;
+    }
+
+    /**
+     * Register a job
+     * @param {Object} job
+     * @param {string} job.name - Unique job name (nft, spin, counters, stbtc, tx)
+     * @param {string} [job.schedule] - Cron expression; jobs without one can only run manually
+     * @param {number} [job.timeoutSeconds] - Run timeout, JOB_TIMEOUT_<NAME> or JOB_TIMEOUT_SECONDS by default
+     * @param {boolean} [job.runOnStart] - Run once as soon as the scheduler starts
+     * @param {Function} job.run - Async job body
+     */
+    register({ name, schedule, timeoutSeconds, runOnStart = false, run }) {
+        if (this.jobs.has(name)) {
+            throw new Error(`Job ${name} is already registered`);
+        }
+        if (schedule && !cron.validate(schedule)) {
+            throw new Error(`Invalid cron schedule for job ${name}: ${schedule}`);
+        }
+
+        const timeout = timeoutSeconds
+            || parseInt(process.env[`JOB_TIMEOUT_${name.toUpperCase()}`] || process.env.JOB_TIMEOUT_SECONDS || DEFAULT_TIMEOUT_SECONDS);
+
+        this.jobs.set(name, {
+            name,
+            schedule: schedule || null,
+            timeoutMs: timeout * 1000,
+            runOnStart,
+            run,
+            task: null,
+            running: null,
+            runCount: 0,
+            lastRunAt: null,
+            lastDurationMs: null,
+            lastStatus: null,
+            lastSuccessAt: null,
+            lastError: null,
+            lastErrorAt: null,
+            consecutiveFailures: 0
+        });
+
+        logger.info(`🗓️ Registered job ${name} (${schedule || 'manual only'}, timeout ${timeout}s)`);
+    }
+
+    /**
+     * Start cron tasks for all registered jobs
+     */
+    async start() {
+        await this.loadHistory();
+
+        for (const job of this.jobs.values()) {
+            if (job.schedule) {
+                job.task = cron.schedule(job.schedule, () => {
+                    this.runJob(job.name).catch(() => {
+                        // Failures are logged and recorded by runJob()
+                    });
+                });
+            }
+            if (job.runOnStart) {
+                this.runJob(job.name).catch(() => {});
+            }
+        }
+
+        logger.info(`🕒 Scheduler started with ${this.jobs.size} jobs`);
+    }
+
+    /**
+     * Run a job now unless it is already running
+     * @param {string} name - Job name
+     * @param {Object} [options]
+     * @param {boolean} [options.manual] - Triggered by an admin rather than cron
+     * @returns {Promise<*>} The job result; rejects on failure, timeout or overlap
+     */
+    async runJob(name, { manual = false } = {}) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Job ${name} is not registered`);
+        }
+
+        if (this.stopped) {
+            throw new Error(`Scheduler is shutting down, ${name} not started`);
+        }
+
+        if (job.running) {
+            logger.warn(`⚠️ Skipping ${name} run - previous run still in progress`);
+            this.recordRun(job, { startedAt: new Date(), durationMs: 0, status: 'skipped', manual });
+            throw new Error(`Job ${name} is already running`);
+        }
+
+        const startedAt = new Date();
+        job.runCount++;
+        job.lastRunAt = startedAt;
+        logger.info(`▶️ Running job ${name}${manual ? ' (manual)' : ''}...`);
+
+        // The job stays "running" until its promise settles, even after a timeout,
+        // so a hung run can never overlap with the next one.
+        // Everything the run logs is tagged with the job name.
+        const execution = Promise.resolve().then(() => withLogContext({ job: name }, () => job.run()));
+        job.running = execution.finally(() => {
+            job.running = null;
+        }).catch(() => {});
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Job ${name} timed out after ${job.timeoutMs / 1000}s`);
+                error.code = 'JOB_TIMEOUT';
+                reject(error);
+            }, job.timeoutMs);
+        });
+
+        try {
+            const result = await Promise.race([execution, timeout]);
+            const durationMs = Date.now() - startedAt.getTime();
+            job.lastDurationMs = durationMs;
+            job.lastStatus = 'success';
+            job.lastSuccessAt = new Date();
+            job.consecutiveFailures = 0;
+            this.recordRun(job, { startedAt, durationMs, status: 'success', manual });
+            logger.info(`✅ Job ${name} finished in ${(durationMs / 1000).toFixed(1)}s`);
+            this.emit('runFinished', { name, status: 'success', error: null, durationMs, consecutiveFailures: 0 });
+            return result;
+        } catch (error) {
+            const durationMs = Date.now() - startedAt.getTime();
+            const status = error.code === 'JOB_TIMEOUT' ? 'timeout' : 'error';
+            job.lastDurationMs = durationMs;
+            job.lastStatus = status;
+            job.lastError = error.message || String(error);
+            job.lastErrorAt = new Date();
+            job.consecutiveFailures++;
+            this.recordRun(job, { startedAt, durationMs, status, error: job.lastError, manual });
+            logger.error(`❌ Job ${name} failed after ${(durationMs / 1000).toFixed(1)}s:`, error.message);
+            this.emit('runFinished', { name, status, error: job.lastError, durationMs, consecutiveFailures: job.consecutiveFailures });
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Stop all cron tasks and wait for in-flight runs to finish
+     * Callers bound the wait with their own shutdown timeout.
+     */
+    async stop() {
+        this.stopped = true;
+        for (const job of this.jobs.values()) {
+            if (job.task) {
+                job.task.stop();
+                job.task = null;
+            }
+        }
+
+        const running = Array.from(this.jobs.values()).filter(job => job.running);
+        if (running.length > 0) {
+            logger.info(`⏳ Waiting for ${running.length} running job(s): ${running.map(job => job.name).join(', ')}`);
+            await Promise.all(running.map(job => job.running));
+        }
+
+        await this.pendingSave;
+        await flushState();
+        logger.info(`🛑 Scheduler stopped`);
+    }
+
+    /**
+     * Append a run to the job's history and persist it
+     */
+    recordRun(job, run) {
+        const entries = this.history[job.name] || [];
+        entries.push({
+            startedAt: run.startedAt.toISOString(),
+            durationMs: run.durationMs,
+            status: run.status,
+            error: run.error || null,
+            manual: run.manual
+        });
+        this.history[job.name] = entries.slice(-HISTORY_LIMIT);
+        this.pendingSave = this.saveHistory();
+    }
+
+    loadHistory() {
+        if (!this.historyLoading) {
+            // JOB_HISTORY_FILE is where history was kept before the state store
+            this.historyLoading = getState('jobHistory', { legacyFile: process.env.JOB_HISTORY_FILE || 'job_history.json' })
+                .then((history) => {
+                    // Keep runs recorded before the history was loaded
+                    for (const [name, entries] of Object.entries(this.history)) {
+                        history[name] = [...(history[name] || []), ...entries].slice(-HISTORY_LIMIT);
+                    }
+                    this.history = history;
+                });
+        }
+        return this.historyLoading;
+    }
+
+    async saveHistory() {
+        // Runs can finish before start(), e.g. in a dry run
+        await this.loadHistory();
+        return saveState();
+    }
+
+    /**
+     * Get recent runs of a job, newest last
+     */
+    getHistory(name) {
+        return (this.history[name] || []).slice();
+    }
+
+    /**
+     * Get a snapshot of all registered jobs
+     * @returns {Array<Object>} Job states sorted by name
+     */
+    getJobStates() {
+        return Array.from(this.jobs.values())
+            .map(job => ({
+                name: job.name,
+                schedule: job.schedule,
+                running: !!job.running,
+                runCount: job.runCount,
+                lastRunAt: job.lastRunAt,
+                lastDurationMs: job.lastDurationMs,
+                lastStatus: job.lastStatus,
+                lastSuccessAt: job.lastSuccessAt,
+                lastError: job.lastError,
+                lastErrorAt: job.lastErrorAt,
+                consecutiveFailures: job.consecutiveFailures
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    hasJob(name) {
+        return this.jobs.has(name);
+    }
+}
+
+// Shared instance used by the bot
+const scheduler = new Scheduler();
+
+module.exports = {
+    Scheduler,
+    scheduler
+};
@@ -0,0 +1,73 @@
+/**
+ * Graceful Shutdown Module
+ * Stops scheduled jobs, lets in-flight work finish, flushes progress
+ * and logs out of Discord, all within SHUTDOWN_TIMEOUT_SECONDS
+ */
+
+const { scheduler } = require('./scheduler.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('shutdown');
+
+const DEFAULT_SHUTDOWN_TIMEOUT_SECONDS = 30;
+
+/**
+ * Install SIGINT/SIGTERM handlers
+ * @param {Client} client - Discord client
+ * @param {Object} [options]
+ * @param {Array<Function>} [options.stopHooks] - Async cleanups run alongside the scheduler drain, called with the signal
+ * @param {Array<Function>} [options.afterDrainHooks] - Async flushes run once the drain and stop hooks are done,
+ *   so they also cover what the draining jobs wrote
+ * @returns {Function} shutdown(reason), for shutting down without a signal
+ */
+function registerShutdownHandlers(client, { stopHooks = [], afterDrainHooks = [] } = {}) {
+    let shuttingDown = false;
+
+    const shutdown = async (signal) => {
+        if (shuttingDown) {
+            logger.warn(`⚠️ ${signal} received again, forcing exit`);
+            process.exit(1);
+        }
+        shuttingDown = true;
+
+        const timeoutSeconds = parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS || DEFAULT_SHUTDOWN_TIMEOUT_SECONDS);
+        logger.info(`🔄 ${signal} received, gracefully shutting down (timeout ${timeoutSeconds}s)...`);
+
+        const timer = setTimeout(() => {
+            logger.error(`❌ Shutdown did not finish within ${timeoutSeconds}s, exiting anyway`);
+            process.exit(1);
+        }, timeoutSeconds * 1000);
+
+        let exitCode = 0;
+        try {
+            // Stop hooks (e.g. the transaction tracker) must run in parallel with the
+            // drain, since the job being drained may be the scan they interrupt
+            const results = await Promise.allSettled([
+                scheduler.stop(),
+                ...stopHooks.map(hook => hook(signal))
+            ]);
+            results.push(...await Promise.allSettled(afterDrainHooks.map(hook => hook(signal))));
+            for (const result of results) {
+                if (result.status === 'rejected') {
+                    logger.error(`❌ Error during shutdown:`, result.reason);
+                }
+            }
+
+            await client.destroy();
+            logger.info(`👋 Logged out of Discord, bye`);
+        } catch (error) {
+            logger.error(`❌ Error during shutdown:`, error);
+            exitCode = 1;
+        } finally {
+            clearTimeout(timer);
+            process.exit(exitCode);
+        }
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    return shutdown;
+}
+
+module.exports = {
+    registerShutdownHandlers
+};
@@ -0,0 +1,102 @@
+/**
+ * Sparkline Module
+ * Draws a counter's 7-day and 30-day history as two small line charts in one PNG
+ */
+
+const WIDTH = 600;
+const PANEL_HEIGHT = 90;
+const PADDING = 12;
+const LABEL_WIDTH = 44;
+
+const COLORS = {
+    background: '#2b2d31',
+    line: '#FFD700',
+    fill: 'rgba(255, 215, 0, 0.15)',
+    label: '#b5bac1',
+    empty: '#6d6f78'
+};
+
+// Loaded on first use so the bot starts without the native canvas package
+let createCanvas = null;
+
+/**
+ * Check that the canvas package can be loaded
+ * @throws When it is not installed
+ */
+function assertCanvasAvailable() {
+    if (!createCanvas) {
+        ({ createCanvas } = require('canvas'));
+    }
+}
+
+function drawPanel(ctx, top, label, samples, sinceMs, untilMs) {
+    const left = LABEL_WIDTH + PADDING;
+    const width = WIDTH - left - PADDING;
+    const height = PANEL_HEIGHT - PADDING * 2;
+    const y0 = top + PADDING;
+
+    ctx.fillStyle = COLORS.label;
+    ctx.font = 'bold 14px sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, PADDING, top + PANEL_HEIGHT / 2);
+
+    if (samples.length < 2) {
+        ctx.fillStyle = COLORS.empty;
+        ctx.font = '13px sans-serif';
+        ctx.fillText('Not enough history yet', left, top + PANEL_HEIGHT / 2);
+        return;
+    }
+
+    const values = samples.map(sample => sample.v);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+
+    const x = (t) => left + ((t - sinceMs) / (untilMs - sinceMs)) * width;
+    const y = (v) => y0 + height - ((v - min) / range) * height;
+
+    ctx.beginPath();
+    samples.forEach((sample, index) => {
+        if (index === 0) ctx.moveTo(x(sample.t), y(sample.v));
+        else ctx.lineTo(x(sample.t), y(sample.v));
+    });
+
+    ctx.strokeStyle = COLORS.line;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    // Shade the area under the line
+    ctx.lineTo(x(samples[samples.length - 1].t), y0 + height);
+    ctx.lineTo(x(samples[0].t), y0 + height);
+    ctx.closePath();
+    ctx.fillStyle = COLORS.fill;
+    ctx.fill();
+}
+
+/**
+ * Render the 7d and 30d sparklines of one counter
+ * @param {Array<{t: number, v: number}>} samples - At least the last 30 days, oldest first
+ * @param {number} [now] - End of the charts in milliseconds
+ * @returns {Buffer} PNG image
+ */
+function renderSparklines(samples, now = Date.now()) {
+    assertCanvasAvailable();
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const canvas = createCanvas(WIDTH, PANEL_HEIGHT * 2);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    for (const [index, days] of [7, 30].entries()) {
+        const sinceMs = now - days * DAY_MS;
+        drawPanel(ctx, index * PANEL_HEIGHT, `${days}d`, samples.filter(sample => sample.t >= sinceMs), sinceMs, now);
+    }
+
+    return canvas.toBuffer('image/png');
+}
+
+module.exports = {
+    assertCanvasAvailable,
+    renderSparklines
+};
@@ -1,27 +1,64 @@
 const fetch = require('node-fetch');
+const { publishToRoutes } = require('./channelRouter.js');
+const { getValidatedValue, markStale } = require('./valueCache.js');
+const timeSeries = require('./timeSeries.js');
+const { resolveNetUrl } = require('./netFixtures.js');
+const { getState, saveState } = require('./stateStore.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('spin');
 
 const ROUTESCAN_API = 'https://api.routescan.io/v2/network/mainnet/evm/3637/address/0xFB8e879Cb77AEB594850DA75F30C7d777ce54513/transactions?direction=received&count=true&limit=1';
 const LEADERBOARD_API = 'https://2100abitcoinworld.com/api/wheel/leaderboard?leaderboardType=global';
 
+/**
+ * Fetch the total spin count from Routescan
+ * @throws When the API fails or returns no count
+ */
 async function getTotalSpins() {
-    try {
-        const res = await fetch(ROUTESCAN_API);
-        const data = await res.json();
-        console.log(`[${new Date().toISOString()}] DEBUG: RouteScan API response:`, data);
-        return data.count || 0;
-    } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: Error fetching total spins:`, error);
-        return 0;
+    const res = await fetch(resolveNetUrl(ROUTESCAN_API));
+    if (!res.ok) {
+        throw new Error(`RouteScan API returned HTTP ${res.status}`);
     }
+    const data = await res.json();
+    logger.debug(`RouteScan API response:`, data);
+    if (typeof data.count !== 'number') {
+        throw new Error('RouteScan API response has no count');
+    }
+    return data.count;
 }
 
+/**
+ * Total spins validated against the last known good value
+ * Fresh values are recorded in the spins.total time series.
+ * @returns {Promise<{value: number, stale: boolean, updatedAt: string}>}
+ */
+async function getCheckedTotalSpins() {
+    const result = await getValidatedValue('spins.total', getTotalSpins, { monotonic: true, nonZero: true });
+    if (!result.stale) {
+        await timeSeries.append('spins.total', result.value);
+    }
+    return result;
+}
+
+/**
+ * Top 10 of the leaderboard
+ * The last good one is kept in the "spin" namespace of the state store and
+ * shown when the API fails, also right after a restart.
+ */
 async function getLeaderboard() {
+    const state = await getState('spin');
     try {
-        const res = await fetch(LEADERBOARD_API);
+        const res = await fetch(resolveNetUrl(LEADERBOARD_API));
         const data = await res.json();
-        return data.slice(0, 10);
+        state.leaderboard = { entries: data.slice(0, 10), updatedAt: new Date().toISOString() };
+        saveState();
+        return state.leaderboard.entries;
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ERROR: Error fetching leaderboard:`, error);
+        logger.error(`Error fetching leaderboard:`, error);
+        if (state.leaderboard) {
+            logger.warn(`⚠️ Using the leaderboard from ${state.leaderboard.updatedAt}`);
+            return state.leaderboard.entries;
+        }
         return [];
     }
 }
@@ -40,7 +77,7 @@ function getEmoji(index) {
 }
 
 async function createSatoshiSpinEmbed() {
-    const totalSpins = await getTotalSpins();
+    const totalSpins = await getCheckedTotalSpins();
     const leaderboard = await getLeaderboard();
 
     const winnersList = leaderboard.map((player, index) => {
@@ -54,7 +91,7 @@ async function createSatoshiSpinEmbed() {
     return {
         embeds: [{
             title: '🚨    Satoshi Spin    🚨',
-            description: `\u200B\n🔄  Total spins: **${totalSpins}**\n\u200B`,
+            description: `\u200B\n🔄  Total spins: **${markStale(totalSpins.value, totalSpins)}**\n\u200B`,
             color: 0xFFD700,
             fields: [
                 {
@@ -72,11 +109,21 @@ async function createSatoshiSpinEmbed() {
     };
 }
 
+/**
+ * Post the Satoshi Spin embed to every channel routed for spins
+ */
+async function postSatoshiSpin(client) {
+    const spinEmbed = await createSatoshiSpinEmbed();
+    await publishToRoutes(client, 'spins', spinEmbed);
+}
+
 module.exports = {
     createSatoshiSpinEmbed,
-    getTotalSpins
+    postSatoshiSpin,
+    getTotalSpins,
+    getCheckedTotalSpins
 };
 
 process.on('unhandledRejection', (error) => {
-    console.error(`[${new Date().toISOString()}] ERROR: ❌ Unhandled promise rejection:`, error);
+    logger.error(`❌ Unhandled promise rejection:`, error);
 }); 
\ No newline at end of file
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const timeSeries = require('./timeSeries.js');
 
 // Function to parse log line and extract timestamp and totalSpins
 function parseLogLine(line) {
@@ -135,52 +136,59 @@ function exportToCSV(data, filename) {
     console.log(`Data exported to file: ${filename}`);
 }
 
-// Main function
-function main() {
-    const logFile = 'index-out.log';
-    const outputFile = 'spins_daily.csv';
-    
-    console.log('Starting log file analysis...');
-    
-    // Check if file exists
+// Function to backfill the store from an old bot log (only days before the stored series starts)
+async function importLog(logFile) {
     if (!fs.existsSync(logFile)) {
-        console.error(`Error: File ${logFile} not found!`);
-        process.exit(1);
+        throw new Error(`File ${logFile} not found`);
+    }
+
+    const lines = fs.readFileSync(logFile, 'utf8').split('\n');
+    console.log(`Importing ${lines.length} log lines from ${logFile}...`);
+
+    const existing = await timeSeries.query('spins.total');
+    // Old points are kept one per day, so cut at a day boundary to stay idempotent
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const cutoff = existing.length > 0 ? Math.floor(existing[0].t / DAY_MS) * DAY_MS : Infinity;
+
+    const points = lines
+        .map(parseLogLine)
+        .filter(entry => entry && entry.timestamp.getTime() < cutoff)
+        .map(entry => ({ t: entry.timestamp.getTime(), v: entry.totalSpins }))
+        .sort((a, b) => a.t - b.t);
+
+    // Downsample first so a long log does not become millions of raw points
+    const downsampled = timeSeries.downsample(points);
+    for (const point of downsampled) {
+        await timeSeries.append('spins.total', point.v, point.t);
     }
+    console.log(`Imported ${downsampled.length} points (${points.length} totalSpins entries)`);
+}
+
+// Main function
+async function main() {
+    const outputFile = 'spins_daily.csv';
     
     try {
-        // Read file line by line
-        const logContent = fs.readFileSync(logFile, 'utf8');
-        const lines = logContent.split('\n');
-        
-        console.log(`Processing ${lines.length} lines...`);
-        
-        // Parse lines and extract data
-        const logData = [];
-        let processedLines = 0;
+        // Optional one-off backfill: node spins_calc.js --import-log [index-out.log]
+        const importIndex = process.argv.indexOf('--import-log');
+        if (importIndex !== -1) {
+            await importLog(process.argv[importIndex + 1] || 'index-out.log');
+        }
         
-        lines.forEach((line, index) => {
-            if (index % 10000 === 0) {
-                console.log(`Processed lines: ${index}/${lines.length}`);
-            }
-            
-            const parsed = parseLogLine(line);
-            if (parsed) {
-                logData.push(parsed);
-            }
-            processedLines++;
-        });
+        console.log('Reading spins.total from the time series store...');
+        const points = await timeSeries.query('spins.total');
+        const spinData = points.map(point => ({ timestamp: new Date(point.t), totalSpins: point.v }));
         
-        console.log(`Found ${logData.length} totalSpins entries`);
+        console.log(`Found ${spinData.length} totalSpins points`);
         
-        if (logData.length === 0) {
-            console.log('No totalSpins entries found. Check log format.');
+        if (spinData.length === 0) {
+            console.log('No totalSpins data found. Is the bot running with the counters or spin feature?');
             return;
         }
         
         // Analyze data by days
         console.log('Analyzing data by days...');
-        const dailyData = findMidnightSpins(logData);
+        const dailyData = findMidnightSpins(spinData);
         
         console.log(`Found data for ${dailyData.length} completed days`);
         
@@ -222,8 +230,10 @@ function main() {
         console.log('\nAnalysis completed successfully!');
         
     } catch (error) {
-        console.error('Error processing file:', error.message);
-        process.exit(1);
+        console.error('Error analyzing spins:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await timeSeries.flush();
     }
 }
 
@@ -232,4 +242,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { parseLogLine, findMidnightSpins, exportToCSV, calculateWeightedAverage };
+module.exports = { parseLogLine, importLog, findMidnightSpins, exportToCSV, calculateWeightedAverage };
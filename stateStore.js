@@ -0,0 +1,145 @@
+/**
+ * State Store Module
+ * One JSON file (STATE_FILE, default bot_state.json) holding everything the
+ * bot needs to resume after a restart, one namespace per module:
+ *   nft            - Per-contract mint cursors
+ *   values         - Last known good values (valueCache.js)
+ *   counters       - Last computed counter results
+ *   renames        - Recent channel renames, for the rename budget
+ *   spin           - Last good leaderboard
+ *   statusMessages - Pinned status message IDs
+ *   routes         - Channel routes
+ *   jobHistory     - Scheduler run history
+ *
+ * Writes go to a temp file that is then renamed over the old one, so a crash
+ * never leaves a half-written state file.
+ *
+ * Modules that used their own file before pass it as legacyFile; its content
+ * is imported into the namespace the first time, and the old file is left
+ * alone.
+ */
+
+const fs = require('fs').promises;
+const { isDryRun } = require('./dryRunClient.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('stateStore');
+
+let state = null;
+let loading = null;
+let pendingSave = Promise.resolve();
+let saveQueued = false;
+
+function getStateFilename() {
+    return process.env.STATE_FILE || 'bot_state.json';
+}
+
+/**
+ * Write JSON to a file atomically (temp file, then rename)
+ * @param {string} filename
+ * @param {*} data - Serialized with JSON.stringify
+ */
+async function writeJsonAtomic(filename, data) {
+    const tmpFilename = `${filename}.tmp`;
+    await fs.writeFile(tmpFilename, JSON.stringify(data, null, 2), 'utf8');
+    await fs.rename(tmpFilename, filename);
+}
+
+async function readState() {
+    try {
+        const data = await fs.readFile(getStateFilename(), 'utf8');
+        const parsed = JSON.parse(data);
+        logger.info(`💾 Loaded state (${Object.keys(parsed).join(', ') || 'empty'}) from ${getStateFilename()}`);
+        return parsed;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`⚠️ Could not read ${getStateFilename()}, starting with empty state:`, error.message);
+        }
+        return {};
+    }
+}
+
+function loadState() {
+    if (!loading) {
+        loading = readState().then((loaded) => {
+            state = loaded;
+            return state;
+        });
+    }
+    return loading;
+}
+
+/**
+ * Import a module's old state file into its namespace
+ * @returns {Promise<boolean>} true if there was one
+ */
+async function migrateLegacyFile(namespace, legacyFile) {
+    try {
+        const data = JSON.parse(await fs.readFile(legacyFile, 'utf8'));
+        if (!state[namespace]) {
+            state[namespace] = data;
+            logger.info(`📦 Imported ${legacyFile} into ${getStateFilename()} (${namespace}); the old file is no longer used`);
+        }
+        return true;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`⚠️ Could not import ${legacyFile}:`, error.message);
+        }
+        return false;
+    }
+}
+
+/**
+ * A module's state, loaded once and shared
+ * Change the returned object in place, then call saveState().
+ * @param {string} namespace - e.g. "nft"
+ * @param {Object} [options]
+ * @param {string} [options.legacyFile] - File the module used before the state store
+ * @returns {Promise<Object>}
+ */
+async function getState(namespace, { legacyFile } = {}) {
+    await loadState();
+    if (!state[namespace]) {
+        if (legacyFile && await migrateLegacyFile(namespace, legacyFile)) {
+            await saveState();
+        }
+        if (!state[namespace]) {
+            state[namespace] = {};
+        }
+    }
+    return state[namespace];
+}
+
+/**
+ * Persist all namespaces
+ * Saves requested while one is waiting to start are folded into it.
+ * A dry run keeps its changes in memory only.
+ */
+function saveState() {
+    if (!state || saveQueued || isDryRun()) {
+        return pendingSave;
+    }
+    saveQueued = true;
+    pendingSave = pendingSave.then(async () => {
+        saveQueued = false;
+        try {
+            await writeJsonAtomic(getStateFilename(), state);
+        } catch (error) {
+            logger.error(`❌ Error saving state:`, error);
+        }
+    });
+    return pendingSave;
+}
+
+/**
+ * Wait for queued writes (used on shutdown)
+ */
+function flushState() {
+    return pendingSave;
+}
+
+module.exports = {
+    getState,
+    saveState,
+    flushState,
+    writeJsonAtomic
+};
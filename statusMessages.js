@@ -0,0 +1,89 @@
+/**
+ * Status Messages Module
+ * Keeps one pinned status message per embed type per channel and edits it
+ * in place instead of posting a new embed every cycle
+ *
+ * Enabled with STATUS_MESSAGE_MODE=edit (default "post" keeps the old behaviour).
+ * Message IDs are kept in the "statusMessages" namespace of the state store
+ * so they survive restarts.
+ */
+
+const { getState, saveState } = require('./stateStore.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('statusMessages');
+
+const UNKNOWN_MESSAGE_ERROR = 10008;
+
+let messageIds = null;
+
+function isEditMode() {
+    return (process.env.STATUS_MESSAGE_MODE || 'post').toLowerCase() === 'edit';
+}
+
+async function loadMessageIds() {
+    if (!messageIds) {
+        // STATUS_MESSAGES_FILE is where IDs were kept before the state store
+        messageIds = await getState('statusMessages', { legacyFile: process.env.STATUS_MESSAGES_FILE || 'status_messages.json' });
+    }
+    return messageIds;
+}
+
+/**
+ * Post a fresh status message, pin it and remember its ID
+ */
+async function createStatusMessage(channel, key, message) {
+    const sent = await channel.send(message);
+    try {
+        await sent.pin();
+    } catch (error) {
+        logger.warn(`⚠️ Could not pin status message in ${channel.name} (missing Manage Messages?):`, error.message);
+    }
+    messageIds[key] = sent.id;
+    await saveState();
+    logger.info(`📌 Created status message ${sent.id} in ${channel.name}`);
+    return sent;
+}
+
+/**
+ * Publish a status message to a channel
+ * In edit mode the stored message is edited, and recreated and re-pinned if it was deleted.
+ * Otherwise a new message is sent, as before.
+ * @param {TextChannel} channel - Target channel
+ * @param {string} type - Embed type, e.g. "mints" or "spins"
+ * @param {Object} message - Discord message payload
+ * @returns {Promise<Message>} The sent or edited message
+ */
+async function publishStatusMessage(channel, type, message) {
+    if (!isEditMode()) {
+        return channel.send(message);
+    }
+
+    await loadMessageIds();
+    const key = `${channel.id}:${type}`;
+    const messageId = messageIds[key];
+
+    if (!messageId) {
+        return createStatusMessage(channel, key, message);
+    }
+
+    let existing;
+    try {
+        existing = await channel.messages.fetch(messageId);
+    } catch (error) {
+        if (error.code !== UNKNOWN_MESSAGE_ERROR) {
+            throw error;
+        }
+        logger.info(`🔄 Status message ${messageId} for ${type} was deleted, recreating it`);
+        delete messageIds[key];
+        return createStatusMessage(channel, key, message);
+    }
+
+    const edited = await existing.edit(message);
+    logger.info(`✏️ Edited ${type} status message in ${channel.name}`);
+    return edited;
+}
+
+module.exports = {
+    publishStatusMessage,
+    isEditMode
+};
@@ -0,0 +1,185 @@
+/**
+ * Template Module
+ * Renders counter channel names such as "Staked: {count:thousands:fixed2}"
+ *
+ * A placeholder is {expression:format:format...}. The expression is the
+ * arithmetic of expression.js over:
+ *   count             - this counter's value
+ *   <counter>         - another counter's value
+ *   delta24h          - change of this counter over the last 24 hours
+ *   <counter>.delta24h
+ *   env.NAME          - a numeric setting, e.g. {env.STBTC_CAP}
+ * {trend} and {<counter>.trend} render ▲, ▼ or ▬ from the 24h change.
+ *
+ * Formats:
+ *   compact    - 12345 -> 12.3K
+ *   thousands  - 1234567 -> 1,234,567
+ *   fixedN     - exactly N decimals, e.g. fixed2
+ *   signed     - +12 for positive values (default for deltas)
+ * Without a format a bare counter uses that counter's own format.
+ */
+
+const { parse, evaluate, getIdentifiers } = require('./expression.js');
+
+const PLACEHOLDER_PATTERN = /\{([^{}]+)\}/g;
+const FORMAT_PATTERN = /^(compact|thousands|signed|fixed\d{1,2})$/;
+const DELTA_SUFFIX = '.delta24h';
+const TREND_ARROWS = { up: '▲', down: '▼', flat: '▬' };
+
+/**
+ * Split a template into text and placeholder parts
+ * @throws On an invalid expression or unknown format
+ */
+function parseTemplate(template) {
+    const parts = [];
+    let lastIndex = 0;
+
+    for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+        if (match.index > lastIndex) {
+            parts.push({ text: template.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + match[0].length;
+
+        const [source, ...formats] = match[1].split(':').map(item => item.trim());
+        for (const format of formats) {
+            if (!FORMAT_PATTERN.test(format)) {
+                throw new Error(`Unknown format "${format}" in {${match[1]}}`);
+            }
+        }
+
+        const trend = source.match(/^(?:([A-Za-z_][A-Za-z0-9_]*)\.)?trend$/);
+        if (trend) {
+            parts.push({ trend: trend[1] || 'count', source });
+            continue;
+        }
+        parts.push({ tree: parse(source), formats, source });
+    }
+
+    if (lastIndex < template.length) {
+        parts.push({ text: template.slice(lastIndex) });
+    }
+    return parts;
+}
+
+/**
+ * Counter names a parsed template needs ("count" for the counter itself)
+ */
+function getTemplateReferences(parts) {
+    const names = new Set();
+    for (const part of parts) {
+        if (part.trend) {
+            names.add(part.trend);
+        } else if (part.tree) {
+            for (const identifier of getIdentifiers(part.tree)) {
+                if (identifier === 'delta24h') {
+                    names.add('count');
+                } else {
+                    names.add(identifier.endsWith(DELTA_SUFFIX) ? identifier.slice(0, -DELTA_SUFFIX.length) : identifier);
+                }
+            }
+        }
+    }
+    return Array.from(names);
+}
+
+function formatCompact(value, decimals) {
+    const units = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+    const unit = units.find(([size]) => Math.abs(value) >= size);
+    if (!unit) {
+        return decimals !== undefined ? value.toFixed(decimals) : String(Math.round(value * 10) / 10);
+    }
+    const scaled = value / unit[0];
+    const text = decimals !== undefined ? scaled.toFixed(decimals) : String(Math.round(scaled * 10) / 10);
+    return `${text}${unit[1]}`;
+}
+
+/**
+ * Apply formats to a number
+ * @param {number} value
+ * @param {Array<string>} formats
+ * @param {Object} [defaults] - { decimals, signed } used when the formats do not say
+ */
+function formatNumber(value, formats, defaults = {}) {
+    const fixed = formats.find(format => format.startsWith('fixed'));
+    const decimals = fixed ? parseInt(fixed.slice(5), 10) : defaults.decimals;
+
+    let text;
+    if (formats.includes('compact')) {
+        text = formatCompact(value, fixed ? decimals : undefined);
+    } else if (formats.includes('thousands')) {
+        text = value.toLocaleString('en-US', decimals !== undefined
+            ? { minimumFractionDigits: decimals, maximumFractionDigits: decimals }
+            : { maximumFractionDigits: 6 });
+    } else if (decimals !== undefined) {
+        text = value.toFixed(decimals);
+    } else {
+        // Hide floating point noise such as 0.30000000000000004
+        text = String(Math.round(value * 1e6) / 1e6);
+    }
+
+    if ((formats.includes('signed') || defaults.signed) && value > 0) {
+        text = `+${text}`;
+    }
+    return text;
+}
+
+function getTrendArrow(delta) {
+    if (delta === null || delta === undefined) return TREND_ARROWS.flat;
+    if (delta > 0) return TREND_ARROWS.up;
+    if (delta < 0) return TREND_ARROWS.down;
+    return TREND_ARROWS.flat;
+}
+
+/**
+ * Render a parsed template
+ * @param {Array<Object>} parts - Result of parseTemplate()
+ * @param {Object} scope
+ * @param {Function} scope.getValue - name -> number ("count" is the counter itself)
+ * @param {Function} scope.getDelta - name -> 24h change, or null without enough history
+ * @param {Function} scope.getDecimals - name -> that counter's default decimals
+ * @returns {string}
+ */
+function renderTemplate(parts, scope) {
+    return parts.map(part => {
+        if (part.text !== undefined) return part.text;
+        if (part.trend) return getTrendArrow(scope.getDelta(part.trend));
+
+        const { tree, formats } = part;
+        let missingDelta = false;
+        const value = evaluate(tree, (identifier) => {
+            let delta = null;
+            if (identifier === 'delta24h') {
+                delta = scope.getDelta('count');
+            } else if (identifier.endsWith(DELTA_SUFFIX)) {
+                delta = scope.getDelta(identifier.slice(0, -DELTA_SUFFIX.length));
+            } else {
+                return scope.getValue(identifier);
+            }
+            if (delta === null) missingDelta = true;
+            return delta || 0;
+        });
+
+        // Not enough history yet for a 24h change
+        if (missingDelta) return 'n/a';
+
+        // A bare counter or delta keeps that counter's own decimals
+        const isBare = tree.type === 'identifier';
+        const isDelta = isBare && (tree.name === 'delta24h' || tree.name.endsWith(DELTA_SUFFIX));
+        let baseName = null;
+        if (isBare) {
+            baseName = tree.name === 'delta24h' ? 'count' : tree.name.replace(DELTA_SUFFIX, '');
+        }
+        const defaults = {
+            decimals: baseName && !baseName.startsWith('env.') ? scope.getDecimals(baseName) : undefined,
+            signed: isDelta
+        };
+        return formatNumber(value, formats, defaults);
+    }).join('');
+}
+
+module.exports = {
+    parseTemplate,
+    getTemplateReferences,
+    renderTemplate,
+    formatNumber
+};
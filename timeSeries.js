@@ -0,0 +1,254 @@
+/**
+ * Time Series Module
+ * Small embedded store for the numbers the bot tracks over time: counters,
+ * total spins and mints, transaction tracker progress
+ *
+ * Each series is an append-only JSON lines file in TIMESERIES_DIR holding
+ * {t, v} points. Compaction downsamples old points, keeping the last point
+ * of each bucket:
+ *   newer than TIMESERIES_RAW_DAYS     - every point
+ *   newer than TIMESERIES_HOURLY_DAYS  - one point per hour
+ *   older                              - one point per UTC day, kept forever
+ * Only the bot compacts, from its daily timeseries job (compactAll()), so
+ * tools that read the store never rewrite a file the bot is appending to.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { isDryRun } = require('./dryRunClient.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('timeSeries');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_RAW_DAYS = 2;
+const DEFAULT_HOURLY_DAYS = 90;
+
+// Series names become file names
+const SERIES_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+const series = new Map();
+let directoryReady = null;
+let pendingWrite = Promise.resolve();
+
+function getDirectory() {
+    return process.env.TIMESERIES_DIR || 'timeseries';
+}
+
+function getFilename(name) {
+    return path.join(getDirectory(), `${name}.jsonl`);
+}
+
+function ensureDirectory() {
+    if (!directoryReady) {
+        directoryReady = fs.mkdir(getDirectory(), { recursive: true });
+    }
+    return directoryReady;
+}
+
+async function readSeries(name) {
+    const points = [];
+    try {
+        const data = await fs.readFile(getFilename(name), 'utf8');
+        let skipped = 0;
+        for (const line of data.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const { t, v } = JSON.parse(line);
+                points.push({ t, v });
+            } catch (error) {
+                // A crash mid-append can leave one partial line
+                skipped++;
+            }
+        }
+        if (skipped > 0) {
+            logger.warn(`⚠️ Skipped ${skipped} unreadable line(s) in ${getFilename(name)}`);
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`⚠️ Could not read ${getFilename(name)}, starting with no data:`, error.message);
+        }
+    }
+    return points.sort((a, b) => a.t - b.t);
+}
+
+function loadSeries(name) {
+    if (!SERIES_PATTERN.test(name)) {
+        return Promise.reject(new Error(`Invalid series name "${name}"`));
+    }
+    let entry = series.get(name);
+    if (!entry) {
+        entry = { points: [] };
+        entry.loading = readSeries(name).then(points => {
+            entry.points = points;
+            return entry;
+        });
+        series.set(name, entry);
+    }
+    return entry.loading;
+}
+
+/**
+ * Keep the last point of each hour or day bucket once points are old enough
+ * @param {Array<{t: number, v: number}>} points - Oldest first
+ */
+function downsample(points, now = Date.now()) {
+    const rawCutoff = now - parseInt(process.env.TIMESERIES_RAW_DAYS || DEFAULT_RAW_DAYS) * DAY_MS;
+    const hourlyCutoff = now - parseInt(process.env.TIMESERIES_HOURLY_DAYS || DEFAULT_HOURLY_DAYS) * DAY_MS;
+
+    const result = [];
+    let lastBucket = null;
+    for (const point of points) {
+        let bucket = null;
+        if (point.t < hourlyCutoff) {
+            bucket = `d${Math.floor(point.t / DAY_MS)}`;
+        } else if (point.t < rawCutoff) {
+            bucket = `h${Math.floor(point.t / HOUR_MS)}`;
+        }
+
+        if (bucket !== null && bucket === lastBucket) {
+            result[result.length - 1] = point;
+        } else {
+            result.push(point);
+        }
+        lastBucket = bucket;
+    }
+    return result;
+}
+
+/**
+ * Downsample a series and rewrite its file
+ */
+function compact(name, entry) {
+    const before = entry.points.length;
+    entry.points = downsample(entry.points);
+    if (before === 0 || isDryRun()) return pendingWrite;
+
+    // Snapshot now: appends queued after this point are not in the snapshot,
+    // appends queued before it are
+    const lines = entry.points.map(point => JSON.stringify(point));
+
+    pendingWrite = pendingWrite.then(async () => {
+        // Write to a temp file first so a crash never leaves half a series
+        const filename = getFilename(name);
+        try {
+            await ensureDirectory();
+            await fs.writeFile(`${filename}.tmp`, `${lines.join('\n')}\n`, 'utf8');
+            await fs.rename(`${filename}.tmp`, filename);
+        } catch (error) {
+            logger.error(`❌ Error compacting time series ${name}:`, error);
+        }
+    });
+    return pendingWrite;
+}
+
+/**
+ * Add a point to a series
+ * @param {string} name - Series name, e.g. spins.total
+ * @param {number} value
+ * @param {number} [time] - Unix time in milliseconds, defaults to now
+ */
+async function append(name, value, time = Date.now()) {
+    if (!Number.isFinite(value)) {
+        throw new Error(`Time series ${name}: ${value} is not a number`);
+    }
+    const entry = await loadSeries(name);
+    const point = { t: time, v: value };
+
+    // Points normally arrive in order; imports of old data may not
+    const index = entry.points.findIndex(existing => existing.t > time);
+    if (index === -1) entry.points.push(point);
+    else entry.points.splice(index, 0, point);
+
+    // A dry run keeps its points in memory only
+    if (isDryRun()) {
+        return pendingWrite;
+    }
+
+    pendingWrite = pendingWrite.then(async () => {
+        try {
+            await ensureDirectory();
+            await fs.appendFile(getFilename(name), `${JSON.stringify(point)}\n`, 'utf8');
+        } catch (error) {
+            logger.error(`❌ Error saving time series ${name}:`, error);
+        }
+    });
+    return pendingWrite;
+}
+
+/**
+ * Points of a series in a time range, oldest first
+ * @param {string} name - Series name
+ * @param {Object} [range]
+ * @param {number} [range.since] - Unix time in milliseconds, inclusive
+ * @param {number} [range.until] - Unix time in milliseconds, inclusive
+ * @returns {Promise<Array<{t: number, v: number}>>}
+ */
+async function query(name, { since = 0, until = Infinity } = {}) {
+    const entry = await loadSeries(name);
+    return entry.points.filter(point => point.t >= since && point.t <= until);
+}
+
+/**
+ * The point closest to a moment, if there is one within the tolerance
+ * @returns {Promise<{t: number, v: number}|null>}
+ */
+async function getPointNear(name, time, toleranceMs) {
+    const points = await query(name, { since: time - toleranceMs, until: time + toleranceMs });
+    let closest = null;
+    for (const point of points) {
+        if (!closest || Math.abs(point.t - time) < Math.abs(closest.t - time)) {
+            closest = point;
+        }
+    }
+    return closest;
+}
+
+/**
+ * Names of all series with data, on disk or in memory
+ * @param {string} [prefix] - Only series starting with this
+ */
+async function listSeries(prefix = '') {
+    const names = new Set();
+    try {
+        for (const file of await fs.readdir(getDirectory())) {
+            if (file.endsWith('.jsonl')) names.add(file.slice(0, -'.jsonl'.length));
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    for (const [name, entry] of series) {
+        if (entry.points.length > 0) names.add(name);
+    }
+    return Array.from(names).filter(name => name.startsWith(prefix)).sort();
+}
+
+/**
+ * Compact every series, on disk or in memory
+ * @returns {Promise<number>} Number of series compacted
+ */
+async function compactAll() {
+    const names = await listSeries();
+    for (const name of names) {
+        compact(name, await loadSeries(name));
+    }
+    await pendingWrite;
+    return names.length;
+}
+
+/**
+ * Wait for queued writes (used on shutdown)
+ */
+function flush() {
+    return pendingWrite;
+}
+
+module.exports = {
+    append,
+    query,
+    getPointNear,
+    listSeries,
+    downsample,
+    compactAll,
+    flush
+};
@@ -0,0 +1,176 @@
+/**
+ * Value Cache Module
+ * Validates every value published by counters and embeds and remembers the last
+ * good one, so a failing source never shows up as a bogus 0
+ *
+ * A fetched value is rejected when it is not a finite, non-negative number or,
+ * for monotonic metrics (total spins, total mints), when it is lower than the
+ * last good value. Rejected or failed fetches fall back to the cached value
+ * marked as stale. After VALUE_ALERT_THRESHOLD consecutive failures the alert
+ * handler is called once, and again when the source recovers.
+ *
+ * A drop that is real (e.g. a contract removed from CONTRACT_ADDRESS) reads
+ * the same every time, so a lower value is accepted after
+ * VALUE_DROP_CONFIRMATIONS identical readings in a row. Admins can also clear
+ * a value with /resetvalue.
+ *
+ * Values are kept in the "values" namespace of the state store.
+ */
+
+const { getState, saveState } = require('./stateStore.js');
+const { createLogger } = require('./logger.js');
+const logger = createLogger('valueCache');
+
+const DEFAULT_ALERT_THRESHOLD = 3;
+const DEFAULT_DROP_CONFIRMATIONS = 3;
+const DEFAULT_STALE_MARKER = ' ⚠️';
+
+let cache = null;
+let alertHandler = null;
+
+// Consecutive failures per key, kept in memory only
+const failures = new Map();
+// Lower readings of monotonic values per key ({ number, count }), kept in memory only
+const drops = new Map();
+
+async function loadCache() {
+    if (!cache) {
+        // VALUE_CACHE_FILE is where values were kept before the state store
+        cache = await getState('values', { legacyFile: process.env.VALUE_CACHE_FILE || 'value_cache.json' });
+    }
+    return cache;
+}
+
+/**
+ * Set the function called when a source crosses the failure threshold or recovers
+ * @param {Function} handler - (message, { key, recovered }) => Promise|void
+ */
+function setAlertHandler(handler) {
+    alertHandler = handler;
+}
+
+async function sendAlert(message, details) {
+    if (!alertHandler) return;
+    try {
+        await alertHandler(message, details);
+    } catch (error) {
+        logger.error(`❌ Failed to send value alert:`, error.message);
+    }
+}
+
+function validate(key, number, { monotonic, nonZero }) {
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`${key}: not a number (${number})`);
+    }
+    if (number < 0) {
+        throw new Error(`${key}: negative value ${number}`);
+    }
+    if (nonZero && number === 0) {
+        throw new Error(`${key}: unexpected zero`);
+    }
+    const last = cache[key];
+    if (monotonic && last && number < last.number) {
+        const drop = drops.get(key);
+        const count = drop && drop.number === number ? drop.count + 1 : 1;
+        drops.set(key, { number, count });
+        const confirmations = parseInt(process.env.VALUE_DROP_CONFIRMATIONS || DEFAULT_DROP_CONFIRMATIONS);
+        if (count < confirmations) {
+            throw new Error(`${key}: value went down from ${last.number} to ${number} (${count} of ${confirmations} readings to accept it)`);
+        }
+        logger.warn(`⚠️ Accepting ${key} drop from ${last.number} to ${number} after ${count} identical readings`);
+    }
+    drops.delete(key);
+}
+
+/**
+ * Fetch a value, validate it and fall back to the last good value on failure
+ * @param {string} key - Cache key, shared by every consumer of the same metric
+ * @param {Function} fetchValue - Async source; may return a number or anything numeric() understands
+ * @param {Object} [options]
+ * @param {boolean} [options.monotonic] - The value can never go down
+ * @param {boolean} [options.nonZero] - Zero can only mean a broken source
+ * @param {Function} [options.numeric] - Extracts the number to validate from the fetched value
+ * @returns {Promise<{value: *, stale: boolean, updatedAt: string}>}
+ * @throws When the fetch fails and no good value is known yet
+ */
+async function getValidatedValue(key, fetchValue, { monotonic = false, nonZero = false, numeric = Number } = {}) {
+    await loadCache();
+
+    try {
+        const value = await fetchValue();
+        validate(key, numeric(value), { monotonic, nonZero });
+
+        cache[key] = { value, number: numeric(value), updatedAt: new Date().toISOString() };
+        saveState();
+
+        const failure = failures.get(key);
+        failures.delete(key);
+        if (failure && failure.alerted) {
+            logger.info(`✅ ${key} recovered after ${failure.count} failed fetches`);
+            await sendAlert(`**${key}** recovered after ${failure.count} failed fetches`, { key, recovered: true });
+        }
+
+        return { value, stale: false, updatedAt: cache[key].updatedAt };
+    } catch (error) {
+        const failure = failures.get(key) || { count: 0, since: new Date(), alerted: false };
+        failure.count++;
+        failures.set(key, failure);
+
+        const last = cache[key];
+        logger.warn(`⚠️ Rejected ${key} (failure ${failure.count}): ${error.message}${last ? `, using value from ${last.updatedAt}` : ''}`);
+
+        const threshold = parseInt(process.env.VALUE_ALERT_THRESHOLD || DEFAULT_ALERT_THRESHOLD);
+        if (failure.count >= threshold && !failure.alerted) {
+            failure.alerted = true;
+            await sendAlert(
+                `**${key}** has failed ${failure.count} times since ${failure.since.toISOString()}: ${error.message}` +
+                (last ? `\nShowing last good value ${last.number} from ${last.updatedAt}` : '\nNo good value known yet'),
+                { key, recovered: false }
+            );
+        }
+
+        if (!last) {
+            throw error;
+        }
+        return { value: last.value, stale: true, updatedAt: last.updatedAt };
+    }
+}
+
+/**
+ * Forget the last good value of a key, so the next fetched value is accepted
+ * @returns {Promise<boolean>} Whether a value was cached
+ */
+async function resetValue(key) {
+    await loadCache();
+    drops.delete(key);
+    if (!cache[key]) {
+        return false;
+    }
+    delete cache[key];
+    await saveState();
+    logger.info(`🗑️ Reset cached value ${key}`);
+    return true;
+}
+
+/**
+ * Keys with a cached value, for /resetvalue
+ */
+async function getValueKeys() {
+    return Object.keys(await loadCache()).sort();
+}
+
+/**
+ * Append the stale marker (STALE_MARKER) to a display value when it came from the cache
+ */
+function markStale(display, result) {
+    if (!result.stale) return display;
+    return `${display}${process.env.STALE_MARKER !== undefined ? process.env.STALE_MARKER : DEFAULT_STALE_MARKER}`;
+}
+
+module.exports = {
+    getValidatedValue,
+    markStale,
+    resetValue,
+    getValueKeys,
+    setAlertHandler
+};